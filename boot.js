@@ -2,22 +2,40 @@
 
 const fastq = require('fastq')
 const EE = require('node:events').EventEmitter
+const { AsyncLocalStorage } = require('node:async_hooks')
+const { performance } = require('node:perf_hooks')
 const inherits = require('node:util').inherits
 const {
   AVV_ERR_EXPOSE_ALREADY_DEFINED,
   AVV_ERR_CALLBACK_NOT_FN,
   AVV_ERR_ROOT_PLG_BOOTED,
   AVV_ERR_READY_TIMEOUT,
-  AVV_ERR_ATTRIBUTE_ALREADY_DEFINED
+  AVV_ERR_ATTRIBUTE_ALREADY_DEFINED,
+  AVV_ERR_PLUGIN_DEPENDENCY_MISSING,
+  AVV_ERR_CLOSE_TIMEOUT,
+  AVV_ERR_BUDGET_EXCEEDED,
+  AVV_ERR_BOOT_DEADLINE,
+  AVV_ERR_PLUGIN_FAILED
 } = require('./lib/errors')
 const {
   kAvvio,
-  kIsOnCloseHandler
+  kIsOnCloseHandler,
+  kPluginName,
+  kPluginPath
 } = require('./lib/symbols')
 const { TimeTree } = require('./lib/time-tree')
 const { Plugin } = require('./lib/plugin')
 const { debug } = require('./lib/debug')
+const { channels, traceWorker } = require('./lib/diagnostics')
 const { validatePlugin } = require('./lib/validate-plugin')
+const { getPluginDependencies } = require('./lib/get-plugin-dependencies')
+const { profileResources } = require('./lib/profile-resources')
+const { monitorBlocking } = require('./lib/monitor-blocking')
+const { createAbortError } = require('./lib/create-abort-error')
+const { isOptionalPlugin } = require('./lib/is-optional-plugin')
+const { getPluginPath } = require('./lib/get-plugin-path')
+const { getCallSite } = require('./lib/get-call-site')
+const { createAggregateError } = require('./lib/create-aggregate-error')
 const { isBundledOrTypescriptPlugin } = require('./lib/is-bundled-or-typescript-plugin')
 const { isPromiseLike } = require('./lib/is-promise-like')
 const { thenify } = require('./lib/thenify')
@@ -38,6 +56,21 @@ function Boot (server, opts, done) {
   opts = opts || {}
   opts.autostart = opts.autostart !== false
   opts.timeout = Number(opts.timeout) || 0
+  opts.concurrency = Number(opts.concurrency) || 1
+  opts.closeTimeout = Number(opts.closeTimeout) || 0
+  opts.highResolutionTime = opts.highResolutionTime === true
+  opts.profile = opts.profile === true
+  opts.blockingThreshold = Number(opts.blockingThreshold) || 0
+  opts.slowThreshold = Number(opts.slowThreshold) || 0
+  opts.slowWarning = opts.slowWarning === true
+  opts.bootDeadline = Number(opts.bootDeadline) || 0
+  opts.rollbackOnError = opts.rollbackOnError === true
+  opts.aggregateErrors = opts.aggregateErrors === true
+  opts.wrapErrors = opts.wrapErrors === true
+  opts.budget = {
+    total: getBudget(opts.budget?.total, opts.budget?.hard === true),
+    perPlugin: getBudget(opts.budget?.perPlugin, opts.budget?.hard === true)
+  }
   opts.expose = opts.expose || {}
 
   if (!new.target) {
@@ -58,8 +91,28 @@ function Boot (server, opts, done) {
 
   this._error = null
 
+  /**
+   * nearest plugin with an error boundary above the plugin failing with
+   * the error of the instance, which then only stops the plugins of its subtree
+   * @type {Plugin|null}
+   */
+  this._errorBoundary = null
+
+  /**
+   * every error raised while booting, with the aggregateErrors option
+   * @type {Array<Error>}
+   */
+  this._bootErrors = []
+
   this._lastUsed = null
 
+  /**
+   * tracks the plugin whose function is being executed,
+   * below a level loading plugins concurrently
+   * @type {AsyncLocalStorage<Plugin>}
+   */
+  this._pluginStorage = new AsyncLocalStorage()
+
   this.setMaxListeners(0)
 
   if (done) {
@@ -68,9 +121,22 @@ function Boot (server, opts, done) {
 
   this.started = false
   this.booted = false
-  this.pluginTree = new TimeTree()
+  /**
+   * plugins which failed without failing the boot
+   * @type {Array<FailedPlugin>}
+   */
+  this.failedPlugins = []
+  /**
+   * clock used for the timings of the plugins and the close handlers
+   * @type {() => number}
+   */
+  this._now = opts.highResolutionTime ? highResolutionNow : Date.now
 
-  this._readyQ = fastq(this, callWithCbOrNextTick, 1)
+  const treeOptions = { now: this._now, precision: opts.highResolutionTime ? 3 : 0 }
+  this.pluginTree = new TimeTree(treeOptions)
+  this.closeTree = new TimeTree(treeOptions)
+
+  this._readyQ = fastq(this, traceWorker(() => channels.ready, callWithCbOrNextTick), 1)
   this._readyQ.pause()
   this._readyQ.drain = () => {
     this.emit('start')
@@ -78,7 +144,7 @@ function Boot (server, opts, done) {
     this._readyQ.drain = noop
   }
 
-  this._closeQ = fastq(this, closeWithCbOrNextTick, 1)
+  this._closeQ = fastq(this, traceWorker(getCloseChannels, closeWithCbOrNextTick), 1)
   this._closeQ.pause()
   this._closeQ.drain = () => {
     this.emit('close')
@@ -88,33 +154,88 @@ function Boot (server, opts, done) {
 
   this._doStart = null
 
+  /**
+   * @type {NodeJS.Timeout|null}
+   */
+  this._deadlineTimer = null
+
+  /**
+   * aborted by the signal of the options or of ready(),
+   * its signal is handed to the plugins
+   * @type {AbortController}
+   */
+  this._abortController = new AbortController()
+
+  /**
+   * listeners of the signals aborting the boot, removed once the root plugin is loaded
+   * @type {Array<{ signal: AbortSignal, listener: () => void }>}
+   */
+  this._signalListeners = []
+
+  /**
+   * signal of close(), skipping the remaining onClose handlers once aborted
+   * @type {AbortSignal|null}
+   */
+  this._closeSignal = null
+
+  /**
+   * errors of the onClose handlers run so far
+   * @type {Array<Error>}
+   */
+  this._closeErrors = []
+
   const instance = this
-  this._root = new Plugin(fastq(this, this._loadPluginNextTick, 1), function root (server, opts, done) {
+  this._root = new Plugin(fastq(this, this._loadPluginNextTick, opts.concurrency), function root (server, opts, done) {
     instance._doStart = done
     opts.autostart && instance.start()
-  }, opts, false, 0)
+  }, opts, false, 0, this._now)
 
   this._trackPluginLoading(this._root)
 
-  this._loadPlugin(this._root, (err) => {
+  this._rootLoaded = false
+  /**
+   * called once the root plugin is loaded, or the boot deadline is reached
+   * @param {Error} [err]
+   */
+  this._onRootLoaded = (err) => {
+    if (this._rootLoaded) {
+      return
+    }
+    this._rootLoaded = true
+    clearTimeout(this._deadlineTimer)
+    this._unwatchSignals()
+
     debug('root plugin ready')
+    this._exportSpans(this.pluginTree)
     try {
       this.emit('preReady')
       this._root = null
     } catch (preReadyError) {
+      this._collectError(preReadyError, 'preReady', null)
       err = err || this._error || preReadyError
     }
 
-    if (err) {
-      this._error = err
-      if (this._readyQ.length() === 0) {
-        throw err
-      }
+    // the errors of the nested plugins are not passed to the root
+    let bootErr = err || this._error
+    if (bootErr && this._opts.aggregateErrors) {
+      // the boot deadline or an abort, unless it was raised by a plugin
+      this._collectError(bootErr, 'boot', null)
+      bootErr = createAggregateError(this._bootErrors, 'boot')
+      this._error = bootErr
+      err = err && bootErr
+    }
+    if (bootErr && this._opts.rollbackOnError) {
+      this._rollback(bootErr, () => this._resumeReady(err))
     } else {
-      this.booted = true
+      this._resumeReady(err)
     }
-    this._readyQ.resume()
-  })
+  }
+
+  this._loadPlugin(this._root, this._onRootLoaded)
+
+  if (opts.signal) {
+    this._watchSignal(opts.signal)
+  }
 }
 
 inherits(Boot, EE)
@@ -122,11 +243,116 @@ inherits(Boot, EE)
 Boot.prototype.start = function () {
   this.started = true
 
+  if (this._opts.bootDeadline > 0 && this._deadlineTimer === null && !this._rootLoaded) {
+    debug('setting up boot deadline', this._opts.bootDeadline)
+    this._deadlineTimer = setTimeout(() => {
+      debug('boot deadline reached')
+      const deadlineErr = new AVV_ERR_BOOT_DEADLINE(this._opts.bootDeadline)
+      deadlineErr.snapshot = getBootSnapshot(this.pluginTree)
+      deadlineErr.diagnostics = this.diagnose()
+      this._onRootLoaded(deadlineErr)
+    }, this._opts.bootDeadline)
+  }
+
   // we need to wait any call to use() to happen
   process.nextTick(this._doStart)
   return this
 }
 
+/**
+ * Runs the ready callbacks, with the error failing the boot if any
+ *
+ * @param {Error} [err]
+ */
+Boot.prototype._resumeReady = function (err) {
+  if (err) {
+    this._error = err
+    // an aborted boot hands its error to the next ready callback
+    if (this._readyQ.length() === 0 && !this._abortController.signal.aborted) {
+      throw err
+    }
+  } else {
+    this.booted = true
+  }
+  this._readyQ.resume()
+}
+
+/**
+ * Runs the onClose handlers registered by the plugins loaded so far,
+ * then attaches the errors of the failed ones to the error of the boot
+ * as `rollbackErrors`
+ *
+ * @param {Error} err error failing the boot
+ * @param {() => void} callback
+ */
+Boot.prototype._rollback = function (err, callback) {
+  debug('rolling back the loaded plugins')
+  // the plugins not started yet are skipped while rolling back
+  this._error = err
+  if (this.closeTree.root === null) {
+    this.closeTree.start(null, 'rollback')
+  }
+
+  this._closeQ.push((closeErr, done) => {
+    if (err !== null && typeof err === 'object') {
+      err.rollbackErrors = this._closeErrors.slice()
+    }
+    // the errors of the onClose handlers do not replace the one of the boot
+    this._error = err
+    this._closeErrors = []
+    // the handlers registered later by the plugins still in flight
+    // wait for close()
+    this._closeQ.pause()
+    done()
+    callback()
+  })
+  process.nextTick(this._closeQ.resume.bind(this._closeQ))
+}
+
+/**
+ * Aborts the boot once the signal is aborted
+ *
+ * @param {AbortSignal} signal
+ */
+Boot.prototype._watchSignal = function (signal) {
+  if (this._rootLoaded) {
+    return
+  }
+  if (signal.aborted) {
+    this._abort(signal)
+    return
+  }
+  const listener = () => this._abort(signal)
+  signal.addEventListener('abort', listener, { once: true })
+  this._signalListeners.push({ signal, listener })
+}
+
+/**
+ * Stops watching the signals, the boot cannot be aborted anymore
+ */
+Boot.prototype._unwatchSignals = function () {
+  for (const { signal, listener } of this._signalListeners) {
+    signal.removeEventListener('abort', listener)
+  }
+  this._signalListeners = []
+}
+
+/**
+ * Stops loading the plugins that did not start yet, aborts the signal
+ * handed to the ones in flight, and fails the boot with an AbortError
+ *
+ * @param {AbortSignal} signal
+ */
+Boot.prototype._abort = function (signal) {
+  if (this._rootLoaded || this._abortController.signal.aborted) {
+    return
+  }
+  debug('boot aborted')
+  const abortErr = createAbortError(signal)
+  this._abortController.abort(abortErr)
+  this._onRootLoaded(abortErr)
+}
+
 // allows to override the instance of a server, given a plugin
 Boot.prototype.override = function (server, func, opts) {
   return server
@@ -141,7 +367,7 @@ Boot.prototype.use = function (plugin, opts) {
 }
 
 Boot.prototype._loadRegistered = function () {
-  const plugin = this._current[0]
+  const plugin = this._currentPlugin()
   const weNeedToStart = !this.started && !this.booted
 
   // if the root plugin is not loaded, let's resume that
@@ -171,19 +397,26 @@ Boot.prototype._addPlugin = function (pluginFn, opts, isAfter) {
   }
 
   // we always add plugins to load at the current element
-  const current = this._current[0]
+  const current = this._currentPlugin()
 
   // In case of promises, adjust the timeout
   if (isAfter && this._lastUsed) {
     // We need to decrease it by 2ms to make sure the internal timeout
     // is triggered earlier
-    const delta = Date.now() - current.startTime + 2
+    const delta = this._now() - current.startTime + 2
     if (this._lastUsed.timeout > 0 && delta > 0) {
       this._lastUsed.timeout = this._lastUsed.timeout - delta
     }
   }
 
-  const plugin = new Plugin(fastq(this, this._loadPluginNextTick, 1), pluginFn, opts, isAfter, this._opts.timeout)
+  const timeout = current.childTimeout === null ? this._opts.timeout : current.childTimeout
+  const plugin = new Plugin(fastq(this, this._loadPluginNextTick, this._opts.concurrency), pluginFn, opts, isAfter, timeout, this._now, this._opts.slowThreshold)
+  plugin.parent = current
+  plugin.childTimeout = current.childTimeout
+  if (this._opts.wrapErrors) {
+    plugin.registration = {}
+    Error.captureStackTrace(plugin.registration)
+  }
   this._trackPluginLoading(plugin)
 
   if (current.loaded) {
@@ -191,7 +424,7 @@ Boot.prototype._addPlugin = function (pluginFn, opts, isAfter) {
   }
 
   // we add the plugin to be loaded at the end of the current queue
-  current.enqueue(plugin, (err) => { err && (this._error = err) })
+  current.enqueue(plugin, (err) => { err && this._setPluginError(plugin, err) })
 
   return plugin
 }
@@ -229,11 +462,14 @@ Boot.prototype._expose = function _expose () {
   if (server[readyKey]) {
     throw new AVV_ERR_EXPOSE_ALREADY_DEFINED(readyKey, 'ready')
   }
-  server[readyKey] = function (func) {
+  server[readyKey] = function (func, signal) {
+    if (func instanceof AbortSignal) {
+      return instance.ready(func)
+    }
     if (func && typeof func !== 'function') {
       throw new AVV_ERR_CALLBACK_NOT_FN(readyKey, typeof func)
     }
-    return instance.ready(func ? encapsulateThreeParam(func, this) : undefined)
+    return instance.ready(func ? encapsulateThreeParam(func, this) : undefined, signal)
   }
 
   if (server[onCloseKey]) {
@@ -250,18 +486,22 @@ Boot.prototype._expose = function _expose () {
   if (server[closeKey]) {
     throw new AVV_ERR_EXPOSE_ALREADY_DEFINED(closeKey, 'close')
   }
-  server[closeKey] = function (func) {
+  server[closeKey] = function (func, signal) {
+    if (func instanceof AbortSignal) {
+      // this is a Promise
+      return instance.close(func)
+    }
     if (func && typeof func !== 'function') {
       throw new AVV_ERR_CALLBACK_NOT_FN(closeKey, typeof func)
     }
 
     if (func) {
-      instance.close(encapsulateThreeParam(func, this))
+      instance.close(encapsulateThreeParam(func, this), signal)
       return this
     }
 
     // this is a Promise
-    return instance.close()
+    return instance.close(undefined, signal)
   }
 
   if (server.then) {
@@ -280,7 +520,8 @@ Boot.prototype.after = function (func) {
   this._addPlugin(_after.bind(this), {}, true)
 
   function _after (s, opts, done) {
-    callWithCbOrNextTick.call(this, func, done)
+    // the timeout of the after plugin may be inherited from its parent
+    traceAfter.call(this, func, done, this._currentPlugin().timeout)
   }
 
   return this
@@ -295,14 +536,32 @@ Boot.prototype.onClose = function (func) {
   }
 
   func[kIsOnCloseHandler] = true
+  const current = this._currentPlugin()
+  func[kPluginName] = current?.name || 'root'
+  func[kPluginPath] = current ? getPluginPath(current) : ['root']
+  // the handlers registered by a failed attempt of a plugin are discarded
+  for (let plugin = current; plugin; plugin = plugin.parent) {
+    if (plugin.onCloseHandlers !== null) {
+      plugin.onCloseHandlers.push(func)
+    }
+  }
   this._closeQ.unshift(func, (err) => { err && (this._error = err) })
 
   return this
 }
 
-Boot.prototype.close = function (func) {
+Boot.prototype.close = function (func, signal) {
   let promise
 
+  if (func instanceof AbortSignal) {
+    signal = func
+    func = undefined
+  }
+
+  if (signal) {
+    this._closeSignal = signal
+  }
+
   if (func) {
     if (typeof func !== 'function') {
       throw new AVV_ERR_CALLBACK_NOT_FN('close', typeof func)
@@ -320,6 +579,9 @@ Boot.prototype.close = function (func) {
 
   this.ready(() => {
     this._error = null
+    if (this.closeTree.root === null) {
+      this.closeTree.start(null, 'close')
+    }
     this._closeQ.push(func)
     process.nextTick(this._closeQ.resume.bind(this._closeQ))
   })
@@ -327,7 +589,16 @@ Boot.prototype.close = function (func) {
   return promise
 }
 
-Boot.prototype.ready = function (func) {
+Boot.prototype.ready = function (func, signal) {
+  if (func instanceof AbortSignal) {
+    signal = func
+    func = undefined
+  }
+
+  if (signal) {
+    this._watchSignal(signal)
+  }
+
   if (func) {
     if (typeof func !== 'function') {
       throw new AVV_ERR_CALLBACK_NOT_FN('ready', typeof func)
@@ -347,7 +618,7 @@ Boot.prototype.ready = function (func) {
      * In promises we need to track the last server
      * instance loaded, the first one in the _current queue.
      */
-    const relativeContext = this._current[0].server
+    const relativeContext = this._currentPlugin().server
 
     function readyPromiseCB (err, context, done) {
       // the context is always binded to the root server
@@ -366,23 +637,426 @@ Boot.prototype.ready = function (func) {
  * @returns {void}
  */
 Boot.prototype._trackPluginLoading = function (plugin) {
-  const parentName = this._current[0]?.name || null
+  let previousErr = null
+  let stopProfiling = null
+  let stopMonitoring = null
+  let blocked = 0
+  const startNode = (funcName, time) => {
+    const parentId = plugin.parent ? plugin.parent.nodeId : null
+    plugin.nodeId = this.pluginTree.start(parentId, funcName, time)
+  }
   plugin.once('start', (serverName, funcName, time) => {
-    const nodeId = this.pluginTree.start(parentName || null, funcName, time)
-    plugin.once('loaded', (serverName, funcName, time) => {
-      this.pluginTree.stop(nodeId, time)
-    })
+    // after callbacks receive the error of the previous plugins
+    previousErr = this._error
+    startNode(funcName, time)
+    if (this._opts.profile) {
+      stopProfiling = profileResources()
+    }
+    if (this._opts.blockingThreshold > 0) {
+      stopMonitoring = monitorBlocking()
+    }
+  })
+  plugin.once('executed', () => {
+    if (stopMonitoring !== null) {
+      blocked = stopMonitoring()
+    }
+  })
+  plugin.on('slow', (serverName, funcName, elapsed) => {
+    this._reportSlowPlugin(plugin, elapsed)
+  })
+  plugin.on('retry', (serverName, funcName, attempt, err, delay) => {
+    this._discardOnCloseHandlers(plugin.onCloseHandlers)
+    discardNodes(this.pluginTree.tableId.get(plugin.nodeId))
+    this.emit('pluginRetry', { name: plugin.name, id: plugin.nodeId, attempt, error: err, delay })
+  })
+  plugin.once('loaded', (serverName, funcName, time, err) => {
+    if (plugin.nodeId === null) {
+      // the plugin was skipped or failed before starting
+      startNode(funcName, time)
+    }
+    let error = err && err !== previousErr ? err : null
+    if (error === null && hasErrorBoundary(plugin)) {
+      // the subtree of the plugin failed, whether the handler recovers or not
+      error = this._getSubtreeError(plugin, null)
+    }
+    const node = this.pluginTree.tableId.get(plugin.nodeId)
+    if (stopProfiling !== null) {
+      node.resources = stopProfiling()
+    }
+    this._checkBlocking(plugin, node, blocked)
+    if (plugin.attempts !== null) {
+      node.attempts = plugin.attempts.map(({ start, stop, error }) => ({ start, stop, error: serializeError(error) }))
+    }
+    if (!err) {
+      plugin.budgetError = this._checkBudget(plugin, this.pluginTree.measure(plugin.nodeId, time))
+    }
+    if (error === null && plugin.budgetError !== null) {
+      error = plugin.budgetError
+    }
+    this.pluginTree.stop(plugin.nodeId, time, getLoadStatus(plugin, error), error)
   })
 }
 
-Boot.prototype.prettyPrint = function () {
-  return this.pluginTree.prettyPrint()
+/**
+ * Emits a 'slowPlugin' event, and a process warning with the slowWarning
+ * option, for a plugin executing for longer than the slowThreshold option
+ *
+ * @param {Plugin} plugin
+ * @param {number} elapsed
+ */
+Boot.prototype._reportSlowPlugin = function (plugin, elapsed) {
+  const path = getPluginPath(plugin)
+
+  this.emit('slowPlugin', { name: plugin.name, path, elapsed })
+
+  if (this._opts.slowWarning) {
+    process.emitWarning(`Plugin '${plugin.name}' is loading since ${Math.round(elapsed)} ms: ${path.join(' > ')}`, {
+      type: 'AvvioWarning',
+      code: 'AVV_WARN_SLOW_PLUGIN'
+    })
+  }
+}
+
+/**
+ * Records an error raised while booting, with the aggregateErrors option,
+ * along with the phase of the boot and the path of the plugin raising it
+ *
+ * @param {Error} err
+ * @param {'plugin'|'after'|'preReady'|'boot'} phase
+ * @param {Plugin|null} plugin
+ */
+Boot.prototype._collectError = function (err, phase, plugin) {
+  if (!this._opts.aggregateErrors || this._bootErrors.includes(err)) {
+    // the error may be passed through by the following after callbacks
+    return
+  }
+  // the error of an after callback belongs to the plugin registering it
+  const owner = phase === 'after' ? plugin.parent : plugin
+  annotateError(err, phase, owner === null ? [] : getPluginPath(owner))
+  this._bootErrors.push(err)
+}
+
+/**
+ * Fails the boot with the error of a plugin, recording it on the nearest
+ * ancestor which is optional or has an onError handler, to recover from it
+ *
+ * @param {Plugin} plugin
+ * @param {Error} err
+ */
+Boot.prototype._setPluginError = function (plugin, err) {
+  err = this._wrapPluginError(err, plugin)
+  this._error = err
+  this._errorBoundary = null
+  this._collectError(err, plugin.isAfter ? 'after' : 'plugin', plugin)
+  for (let ancestor = plugin.parent; ancestor; ancestor = ancestor.parent) {
+    if (hasErrorBoundary(ancestor)) {
+      ancestor.subtreeError = err
+      this._errorBoundary = ancestor
+      return
+    }
+  }
+}
+
+/**
+ * Whether the error of the instance stops the plugin from loading: an error
+ * recorded by an error boundary only stops the plugins of its subtree, the
+ * siblings loading concurrently outside of it are still loaded
+ *
+ * @param {Plugin} plugin
+ * @returns {boolean}
+ */
+Boot.prototype._isStoppedByError = function (plugin) {
+  if (!this._error || this._opts.aggregateErrors) {
+    return false
+  }
+  const boundary = this._errorBoundary
+  if (boundary === null || boundary.subtreeError !== this._error) {
+    return true
+  }
+  for (let ancestor = plugin.parent; ancestor; ancestor = ancestor.parent) {
+    if (ancestor === boundary) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Wraps the error of a plugin, with the wrapErrors option, in an error
+ * carrying the path of the plugin and the location of the call registering
+ * it, with the original one as `cause`. The error of a nested plugin,
+ * passed through by its ancestors or the after callbacks, is wrapped once.
+ *
+ * @param {*} err
+ * @param {Plugin} plugin
+ * @returns {*}
+ */
+Boot.prototype._wrapPluginError = function (err, plugin) {
+  if (!err || !this._opts.wrapErrors || err instanceof AVV_ERR_PLUGIN_FAILED) {
+    return err
+  }
+  const pluginPath = getPluginPath(plugin)
+  const message = err instanceof Error ? err.message : String(err)
+  const wrapped = new AVV_ERR_PLUGIN_FAILED(pluginPath.join(' > '), message, { cause: err })
+  wrapped.pluginPath = pluginPath
+  wrapped.registeredAt = plugin.registration === null
+    ? null
+    : getCallSite(plugin.registration.stack, this._opts.ignoreFrames)
+  return wrapped
+}
+
+/**
+ * Returns the error of a plugin with an error boundary, or else the one
+ * of a nested plugin, as long as it still fails the boot: an `after`
+ * of the subtree may have handled it already
+ *
+ * @param {Plugin} plugin
+ * @param {Error|null} err
+ * @returns {Error|null}
+ */
+Boot.prototype._getSubtreeError = function (plugin, err) {
+  if (err) {
+    return err
+  }
+  return this._error !== null && this._error === plugin.subtreeError ? this._error : null
+}
+
+/**
+ * Hands the error of the subtree of a plugin to its onError handler, if any,
+ * and recovers from it unless the handler throws. The plugin is then added
+ * to failedPlugins and a 'pluginFailed' event is emitted.
+ *
+ * @param {Plugin} plugin
+ * @param {Error} err
+ * @returns {Error|null} the error failing the plugin, if not recovered
+ */
+Boot.prototype._catchPluginError = function (plugin, err) {
+  if (typeof plugin.options?.onError === 'function') {
+    try {
+      plugin.options.onError(err)
+    } catch (handlerErr) {
+      debug('onError handler rethrew', plugin.name)
+      return handlerErr
+    }
+  }
+
+  debug('recovered from plugin error', plugin.name)
+  if (this._error === err) {
+    this._error = null
+  }
+  removeError(this._bootErrors, err)
+  const failedPlugin = { name: plugin.name, id: plugin.nodeId, error: err }
+  this.failedPlugins.push(failedPlugin)
+  this.emit('pluginFailed', failedPlugin)
+  return null
+}
+
+/**
+ * Removes onClose handlers from the close queue, keeping the order of the others
+ *
+ * @param {Array<Function>} handlers
+ */
+Boot.prototype._discardOnCloseHandlers = function (handlers) {
+  if (handlers.length === 0) {
+    return
+  }
+
+  const remaining = this._closeQ.getQueue()
+  for (const handler of handlers) {
+    // the same handler may be registered more than once, any of them will do
+    const index = remaining.indexOf(handler)
+    if (index !== -1) {
+      remaining.splice(index, 1)
+    }
+  }
+
+  // fastq cannot remove a single task, so the queue is filled again
+  const drain = this._closeQ.drain
+  this._closeQ.kill()
+  this._closeQ.drain = drain
+  for (const handler of remaining) {
+    this._closeQ.push(handler, (err) => { err && (this._error = err) })
+  }
+}
+
+/**
+ * Records on the node of a plugin the longest time the event loop was
+ * blocked while it executed, and emits a 'blocking' event, when it is over
+ * the blockingThreshold option. The synchronous part of the function is
+ * timed on its own, the event loop is monitored for the rest of it,
+ * e.g. after an `await` or in a callback.
+ *
+ * @param {Plugin} plugin
+ * @param {import('./lib/time-tree').TimeTreeNode} node
+ * @param {number} monitored longest time the event loop was monitored as blocked
+ */
+Boot.prototype._checkBlocking = function (plugin, node, monitored) {
+  const threshold = this._opts.blockingThreshold
+  if (threshold <= 0 || plugin.syncTime === null) {
+    return
+  }
+
+  const blocked = Math.max(plugin.syncTime, monitored)
+  if (blocked < threshold) {
+    return
+  }
+
+  node.blocked = blocked
+  this.emit('blocking', { name: plugin.name, id: node.id, duration: blocked })
+}
+
+/**
+ * Checks the load time of a plugin against its budget: the whole boot for
+ * the root plugin, the self time for the others.
+ * A soft budget emits a warning, a hard one returns the error failing the boot.
+ *
+ * @param {Plugin} plugin
+ * @param {{ diff: number, self: number }} timings
+ * @returns {Error|null}
+ */
+Boot.prototype._checkBudget = function (plugin, { diff, self }) {
+  const { total, perPlugin } = this._opts.budget
+  const isRoot = plugin.parent === null
+  // the budget of the plugin options is hard like the perPlugin one by default
+  const budget = isRoot
+    ? total
+    : (plugin.options?.budget === undefined ? perPlugin : getBudget(plugin.options.budget, perPlugin.hard))
+  const time = isRoot ? diff : self
+
+  if (budget.ms <= 0 || time <= budget.ms) {
+    return null
+  }
+
+  const err = new AVV_ERR_BUDGET_EXCEEDED(plugin.name, time, budget.ms)
+  if (budget.hard) {
+    return err
+  }
+  this.emit('warning', err)
+  return null
+}
+
+/**
+ * Returns the plugin that new plugins are added to.
+ * Siblings loading concurrently interleave in `_current`, so below a
+ * concurrent level we rely on the async context of the plugin function.
+ *
+ * @returns {Plugin}
+ */
+Boot.prototype._currentPlugin = function () {
+  const plugin = this._pluginStorage.getStore()
+  if (plugin && !plugin.loaded && isBelowConcurrentLevel(plugin)) {
+    return plugin
+  }
+  return this._current[0]
+}
+
+Boot.prototype.prettyPrint = function (options) {
+  return this.pluginTree.prettyPrint(options)
 }
 
 Boot.prototype.toJSON = function () {
   return this.pluginTree.toJSON()
 }
 
+Boot.prototype.criticalPath = function () {
+  return this.pluginTree.criticalPath()
+}
+
+/**
+ * Returns the boot and the shutdown as Chrome Trace Event JSON,
+ * to be loaded in chrome://tracing or Perfetto
+ *
+ * @returns {{ traceEvents: Array<object>, displayTimeUnit: string }}
+ */
+Boot.prototype.toTraceEvents = function () {
+  const pid = process.pid
+  const bootEvents = this.pluginTree.toTraceEvents({ cat: 'boot', pid, tid: 0 })
+  // the plugins loading concurrently are placed on the threads after the boot one
+  const closeTid = bootEvents.reduce((tid, event) => Math.max(tid, event.tid), 0) + 1
+  const bootThreads = []
+  for (let tid = 0; tid < closeTid; tid++) {
+    bootThreads.push({ name: 'thread_name', ph: 'M', pid, tid, args: { name: tid === 0 ? 'boot' : `boot ${tid}` } })
+  }
+  return {
+    traceEvents: [
+      ...bootThreads,
+      { name: 'thread_name', ph: 'M', pid, tid: closeTid, args: { name: 'close' } },
+      ...bootEvents,
+      ...this.closeTree.toTraceEvents({ cat: 'close', pid, tid: closeTid })
+    ],
+    displayTimeUnit: 'ms'
+  }
+}
+
+/**
+ * Returns the boot as OpenTelemetry spans in the OTLP/JSON format
+ *
+ * @param {import('./lib/time-tree').SpansOptions} [options]
+ * @returns {Array<import('./lib/time-tree').Span>}
+ */
+Boot.prototype.toSpans = function (options) {
+  return this.pluginTree.toSpans(options)
+}
+
+/**
+ * Returns the shutdown as OpenTelemetry spans in the OTLP/JSON format
+ *
+ * @param {import('./lib/time-tree').SpansOptions} [options]
+ * @returns {Array<import('./lib/time-tree').Span>}
+ */
+Boot.prototype.closeToSpans = function (options) {
+  return this.closeTree.toSpans(options)
+}
+
+/**
+ * Hands the spans of the tree to the spanExporter option, if any.
+ * An exporter throwing or rejecting emits a 'warning' event, without
+ * failing the boot or the close, which do not wait for it.
+ *
+ * @param {TimeTree} tree
+ */
+Boot.prototype._exportSpans = function (tree) {
+  if (typeof this._opts.spanExporter !== 'function') {
+    return
+  }
+  const onExportError = (exportErr) => {
+    debug('span exporter errored')
+    this.emit('warning', exportErr)
+  }
+  try {
+    const maybePromiseLike = this._opts.spanExporter(tree.toSpans())
+    if (isPromiseLike(maybePromiseLike)) {
+      maybePromiseLike.then(undefined, onExportError)
+    }
+  } catch (exportErr) {
+    onExportError(exportErr)
+  }
+}
+
+/**
+ * Returns the loading state, to find out why the boot stalls: the stack
+ * of the plugins being loaded, from the root, with their queue and the
+ * nested plugins loading and pending, and the pending ready callbacks
+ *
+ * @returns {Diagnostics}
+ */
+Boot.prototype.diagnose = function () {
+  return {
+    started: this.started,
+    booted: this.booted,
+    stack: this._current.slice().reverse().map(diagnosePlugin),
+    ready: this._readyQ.getQueue().map((func) => func.name || 'anonymous')
+  }
+}
+
+Boot.prototype.closePrettyPrint = function (options) {
+  return this.closeTree.prettyPrint(options)
+}
+
+Boot.prototype.closeToJSON = function () {
+  return this.closeTree.toJSON()
+}
+
 /**
  * @callback LoadPluginCallback
  * @param {Error} [err]
@@ -407,17 +1081,55 @@ Boot.prototype._loadPlugin = function (plugin, callback) {
     return
   }
 
-  const last = instance._current[0]
+  const last = plugin.parent || instance._current[0]
 
   // place the plugin at the top of _current
   instance._current.unshift(plugin)
 
-  if (instance._error && !plugin.isAfter) {
-    debug('skipping loading of plugin as instance errored and it is not an after', plugin.name)
+  // collecting the errors, the plugins outside of the failed subtrees are
+  // still loaded, as the nested plugins of a failed one are never dequeued
+  const errored = instance._isStoppedByError(plugin)
+  if ((errored || instance._rootLoaded || instance._abortController.signal.aborted) && !plugin.isAfter) {
+    debug('skipping loading of plugin as instance errored or aborted and it is not an after', plugin.name)
     process.nextTick(execCallback)
     return
   }
 
+  if (!plugin.isAfter) {
+    const missingDependency = findMissingDependency(plugin, last)
+    if (missingDependency !== null) {
+      const loading = last && last.loadingPlugins.find((sibling) => sibling.name === missingDependency)
+      if (loading && !isWaitingFor(loading, plugin)) {
+        // the dependency is loading concurrently, check again once it is done
+        debug('waiting for dependency to be loaded', plugin.name, missingDependency)
+        removeCurrent(instance._current, plugin)
+        plugin.waitingFor = loading
+        loading.once('loaded', () => {
+          plugin.waitingFor = null
+          process.nextTick(instance._loadPlugin.bind(instance), plugin, callback)
+        })
+        return
+      }
+
+      // a sibling registered later may provide the dependency, so we move
+      // the plugin behind it, unless nothing got loaded since the last time
+      // we did it. An after registered in between must still wait for the
+      // plugin, so the dependency cannot be loaded before it.
+      if (isQueuedBeforeAfter(last, missingDependency) && plugin.deferredAt !== last.loadedPlugins.length) {
+        debug('deferring plugin until its dependency is loaded', plugin.name, missingDependency)
+        plugin.deferredAt = last.loadedPlugins.length
+        removeCurrent(instance._current, plugin)
+        last.release(plugin)
+        last.defer(plugin, (queued) => (err) => { err && instance._setPluginError(queued, err) })
+        callback()
+        return
+      }
+
+      debug('missing dependency', plugin.name, missingDependency)
+      return execCallback(new AVV_ERR_PLUGIN_DEPENDENCY_MISSING(missingDependency, plugin.name))
+    }
+  }
+
   let server = (last && last.server) || instance._server
 
   if (!plugin.isAfter) {
@@ -430,11 +1142,43 @@ Boot.prototype._loadPlugin = function (plugin, callback) {
     }
   }
 
-  plugin.exec(server, execCallback)
+  // the signal is handed to the plugin only when a signal can abort the boot
+  plugin.signal = instance._signalListeners.length > 0 ? instance._abortController.signal : null
+
+  if (isBelowConcurrentLevel(plugin)) {
+    // the async context is only tracked when needed, as it enables
+    // the promise hooks for the whole process
+    instance._pluginStorage.run(plugin, () => plugin.exec(server, execCallback))
+  } else {
+    plugin.exec(server, execCallback)
+  }
 
   function execCallback (err) {
+    if (err && err.code === 'AVV_ERR_PLUGIN_EXEC_TIMEOUT' && err.diagnostics === undefined) {
+      err.diagnostics = instance.diagnose()
+    }
     plugin.finish(err, (err) => {
-      instance._current.shift()
+      if (!err && plugin.budgetError) {
+        err = plugin.budgetError
+      }
+      // before handing it to the onError handler
+      err = instance._wrapPluginError(err, plugin)
+      let failed = false
+      if (plugin.started && hasErrorBoundary(plugin)) {
+        const subtreeErr = instance._getSubtreeError(plugin, err)
+        if (subtreeErr) {
+          failed = true
+          err = instance._catchPluginError(plugin, subtreeErr)
+        }
+      }
+      removeCurrent(instance._current, plugin)
+      if (last) {
+        // a plugin recovered by its onError handler does not satisfy dependencies
+        if (!err && !failed) {
+          last.loadedPlugins.push(plugin.name)
+        }
+        last.release(plugin)
+      }
       callback(err)
     })
   }
@@ -445,12 +1189,280 @@ Boot.prototype._loadPlugin = function (plugin, callback) {
 * to run prior to executing the next plugin
 */
 Boot.prototype._loadPluginNextTick = function (plugin, callback) {
+  if (plugin.parent) {
+    plugin.parent.acquire(plugin, () => process.nextTick(this._loadPlugin.bind(this), plugin, callback))
+    return
+  }
   process.nextTick(this._loadPlugin.bind(this), plugin, callback)
 }
 
 function noop () { }
 
-function callWithCbOrNextTick (func, cb) {
+/**
+ * Budget of the boot or of a plugin
+ * @typedef {object} Budget
+ * @property {number} ms
+ * @property {boolean} hard whether exceeding it fails the boot
+ */
+
+/**
+ * Returns a budget given as a number of millis, or as `{ ms, hard }`
+ *
+ * @param {number|{ ms?: number, hard?: boolean }} [budget]
+ * @param {boolean} hard default of the hard flag
+ * @returns {Budget}
+ */
+function getBudget (budget, hard) {
+  if (budget !== null && typeof budget === 'object') {
+    return { ms: Number(budget.ms) || 0, hard: budget.hard === undefined ? hard : budget.hard === true }
+  }
+  return { ms: Number(budget) || 0, hard }
+}
+
+/**
+ * Monotonic clock with sub-millisecond precision,
+ * expressed in milliseconds since the epoch like Date.now()
+ *
+ * @returns {number}
+ */
+function highResolutionNow () {
+  return performance.timeOrigin + performance.now()
+}
+
+/**
+ * @param {Error} err
+ * @param {string} phase
+ * @param {Array<string>} pluginPath
+ */
+function annotateError (err, phase, pluginPath) {
+  if (err !== null && typeof err === 'object') {
+    err.phase = phase
+    err.pluginPath = err.pluginPath || pluginPath
+  }
+}
+
+/**
+ * Marks the nodes of the nested plugins loaded by a failed attempt as discarded
+ *
+ * @param {import('./lib/time-tree').TimeTreeNode} node
+ */
+function discardNodes (node) {
+  for (const child of node.nodes) {
+    // the ones still loading are marked once done
+    if (child.stop !== null) {
+      child.status = 'discarded'
+    }
+    discardNodes(child)
+  }
+}
+
+/**
+ * @param {Array<Error>} errors
+ * @param {Error} err
+ */
+function removeError (errors, err) {
+  const index = errors.indexOf(err)
+  if (index !== -1) {
+    errors.splice(index, 1)
+  }
+}
+
+/**
+ * @param {Error|null} error
+ * @returns {import('./lib/time-tree').TimeTreeNodeError|null}
+ */
+function serializeError (error) {
+  return error ? { code: error.code, message: error.message } : null
+}
+
+/**
+ * Ids of the nodes of the plugin tree which are done loading,
+ * whatever their status, and of the ones still loading
+ *
+ * @param {TimeTree} tree
+ * @returns {{ done: Array<string>, inFlight: Array<string> }}
+ */
+function getBootSnapshot (tree) {
+  const snapshot = { done: [], inFlight: [] }
+  const visit = (node) => {
+    (node.status === 'loading' ? snapshot.inFlight : snapshot.done).push(node.id)
+    node.nodes.forEach(visit)
+  }
+  if (tree.root !== null) {
+    visit(tree.root)
+  }
+  return snapshot
+}
+
+/**
+ * Plugin which failed without failing the boot
+ * @typedef {object} FailedPlugin
+ * @property {string} name
+ * @property {string|null} id id of its node in the plugin tree
+ * @property {Error} error
+ */
+
+/**
+ * Loading state of the boot
+ * @typedef {object} Diagnostics
+ * @property {boolean} started
+ * @property {boolean} booted
+ * @property {Array<PluginDiagnostics>} stack
+ * @property {Array<string>} ready names of the pending ready callbacks
+ */
+
+/**
+ * Loading state of a plugin of the stack
+ * @typedef {object} PluginDiagnostics
+ * @property {string} name
+ * @property {string|null} id
+ * @property {boolean} isAfter
+ * @property {{ length: number, running: number }} queue
+ * @property {Array<PluginSummary>} loading nested plugins being loaded
+ * @property {Array<PluginSummary>} pending nested plugins enqueued but not started
+ * @property {string|null} waitingFor dependency the plugin waits for
+ */
+
+/**
+ * @typedef {object} PluginSummary
+ * @property {string} name
+ * @property {boolean} isAfter
+ * @property {string|null} waitingFor dependency the plugin waits for
+ */
+
+/**
+ * @param {Plugin} plugin
+ * @returns {PluginSummary}
+ */
+function summarizePlugin (plugin) {
+  return {
+    name: plugin.name,
+    isAfter: plugin.isAfter,
+    waitingFor: plugin.waitingFor ? plugin.waitingFor.name : null
+  }
+}
+
+/**
+ * @param {Plugin} plugin
+ * @returns {PluginDiagnostics}
+ */
+function diagnosePlugin (plugin) {
+  const pending = plugin._waiting.map(({ plugin }) => plugin).concat(plugin.queue.getQueue())
+  return {
+    name: plugin.name,
+    id: plugin.nodeId,
+    isAfter: plugin.isAfter,
+    queue: { length: plugin.queue.length(), running: plugin.queue.running() },
+    loading: plugin.loadingPlugins.map(summarizePlugin),
+    pending: pending.map(summarizePlugin),
+    waitingFor: plugin.waitingFor ? plugin.waitingFor.name : null
+  }
+}
+
+/**
+ * @param {Plugin} plugin
+ * @param {Error|null} err
+ * @returns {string}
+ */
+function getLoadStatus (plugin, err) {
+  if (!err) {
+    return plugin.started ? 'loaded' : 'skipped'
+  }
+  return err.code === 'AVV_ERR_PLUGIN_EXEC_TIMEOUT' ? 'timedOut' : 'failed'
+}
+
+/**
+ * @param {Array<Plugin>} current
+ * @param {Plugin} plugin
+ */
+function removeCurrent (current, plugin) {
+  const index = current.indexOf(plugin)
+  if (index !== -1) {
+    current.splice(index, 1)
+  }
+}
+
+/**
+ * @param {Plugin} plugin
+ * @returns {boolean}
+ */
+function hasErrorBoundary (plugin) {
+  // the options of the root plugin are the ones of avvio
+  if (plugin.parent === null) {
+    return false
+  }
+  return typeof plugin.options?.onError === 'function' || isOptionalPlugin(plugin.func, plugin.options)
+}
+
+/**
+ * @param {Plugin} plugin
+ * @returns {boolean}
+ */
+function isBelowConcurrentLevel (plugin) {
+  for (let ancestor = plugin.parent; ancestor; ancestor = ancestor.parent) {
+    if (ancestor.queue.concurrency > 1) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Returns the first dependency of the plugin that is neither one of its
+ * ancestors nor a plugin already loaded by one of them
+ *
+ * @param {Plugin} plugin
+ * @param {Plugin} [parent]
+ * @returns {string|null}
+ */
+function findMissingDependency (plugin, parent) {
+  for (const dependency of getPluginDependencies(plugin.func)) {
+    let loaded = false
+    for (let ancestor = parent; ancestor && !loaded; ancestor = ancestor.parent) {
+      loaded = ancestor.name === dependency || ancestor.loadedPlugins.includes(dependency)
+    }
+    if (!loaded) {
+      return dependency
+    }
+  }
+  return null
+}
+
+/**
+ * @param {Plugin} plugin
+ * @param {Plugin} other
+ * @returns {boolean}
+ */
+function isWaitingFor (plugin, other) {
+  for (let waiting = plugin; waiting; waiting = waiting.waitingFor) {
+    if (waiting === other) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Returns whether a plugin with the name is queued in the parent,
+ * with no after before it
+ *
+ * @param {Plugin} parent
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isQueuedBeforeAfter (parent, name) {
+  for (const plugin of parent.queue.getQueue()) {
+    if (plugin.isAfter) {
+      return false
+    }
+    if (plugin.name === name) {
+      return true
+    }
+  }
+  return false
+}
+
+function callWithCbOrNextTick (func, cb, timeout = this._opts.timeout) {
   const context = this._server
   const err = this._error
 
@@ -462,7 +1474,7 @@ function callWithCbOrNextTick (func, cb) {
   } else if (func.length === 1) {
     executeWithThenable(func, [err], cb)
   } else {
-    if (this._opts.timeout === 0) {
+    if (timeout === 0) {
       const wrapCb = (err) => {
         this._error = err
         cb(this._error)
@@ -474,22 +1486,23 @@ function callWithCbOrNextTick (func, cb) {
         func(err, context, wrapCb)
       }
     } else {
-      timeoutCall.call(this, func, err, context, cb)
+      timeoutCall.call(this, func, err, context, cb, timeout)
     }
   }
 }
 
-function timeoutCall (func, rootErr, context, cb) {
+function timeoutCall (func, rootErr, context, cb, timeout) {
   const name = func.name
-  debug('setting up ready timeout', name, this._opts.timeout)
+  debug('setting up ready timeout', name, timeout)
   let timer = setTimeout(() => {
     debug('timed out', name)
     timer = null
     const toutErr = new AVV_ERR_READY_TIMEOUT(name)
     toutErr.fn = func
+    toutErr.diagnostics = this.diagnose()
     this._error = toutErr
     cb(toutErr)
-  }, this._opts.timeout)
+  }, timeout)
 
   if (func.length === 2) {
     func(rootErr, timeoutCb.bind(this))
@@ -509,9 +1522,69 @@ function timeoutCall (func, rootErr, context, cb) {
   }
 }
 
+const traceAfter = traceWorker(() => channels.after, callWithCbOrNextTick)
+
+/**
+ * @param {Function} func
+ * @returns {import('./lib/diagnostics').TracingChannels}
+ */
+function getCloseChannels (func) {
+  return func[kIsOnCloseHandler] ? channels.onClose : channels.close
+}
+
 function closeWithCbOrNextTick (func, cb) {
   const context = this._server
   const isOnCloseHandler = func[kIsOnCloseHandler]
+
+  // the tree of a rollback is complete, the handlers registered
+  // after it are run by close() without being tracked
+  const isTracked = this.closeTree.root.stop === null
+
+  if (isOnCloseHandler) {
+    const label = `${func.name || 'anonymous'} (${func[kPluginName]})`
+    const nodeId = isTracked ? this.closeTree.start(this.closeTree.root.id, label) : null
+    const onCloseCb = cb
+    if (this._closeSignal?.aborted) {
+      debug('skipping onClose handler as close was aborted', label)
+      isTracked && this.closeTree.stop(nodeId, undefined, 'skipped', null)
+      process.nextTick(onCloseCb)
+      return
+    }
+    cb = (err) => {
+      const status = err ? (err.code === 'AVV_ERR_CLOSE_TIMEOUT' ? 'timedOut' : 'failed') : 'loaded'
+      isTracked && this.closeTree.stop(nodeId, undefined, status, err)
+      if (err) {
+        if (this._opts.aggregateErrors) {
+          annotateError(err, 'onClose', func[kPluginPath])
+        }
+        this._closeErrors.push(err)
+      }
+      onCloseCb(err)
+    }
+  } else {
+    // all the onClose handlers have been run
+    if (isTracked) {
+      this.closeTree.stop(this.closeTree.root.id)
+      this._exportSpans(this.closeTree)
+    }
+    if (this._closeSignal?.aborted && !this._error) {
+      this._error = createAbortError(this._closeSignal)
+    }
+    if (this._opts.aggregateErrors && this._closeErrors.length > 0) {
+      this._error = createAggregateError(this._closeErrors.slice(), 'close')
+    }
+  }
+
+  // the timeout wraps the tracking, so timed out handlers are tracked too
+  if (this._opts.closeTimeout > 0) {
+    cb = closeTimeoutCb.call(this, func, cb)
+  }
+
+  // the handler in flight is given up when close is aborted
+  if (isOnCloseHandler && this._closeSignal !== null) {
+    cb = closeAbortCb(this._closeSignal, cb)
+  }
+
   if (func.length === 0 || func.length === 1) {
     let promise
     if (isOnCloseHandler) {
@@ -542,8 +1615,75 @@ function closeWithCbOrNextTick (func, cb) {
   }
 }
 
+/**
+ * Fails the close handler with AVV_ERR_CLOSE_TIMEOUT if it does not
+ * complete in time, so the remaining handlers can run
+ *
+ * @param {Function} func
+ * @param {Function} cb
+ * @returns {Function}
+ */
+function closeTimeoutCb (func, cb) {
+  const name = func.name || 'anonymous'
+  debug('setting up close timeout', name, this._opts.closeTimeout)
+  let timer = setTimeout(() => {
+    debug('close timed out', name)
+    timer = null
+    const toutErr = new AVV_ERR_CLOSE_TIMEOUT(name)
+    toutErr.fn = func
+    cb(toutErr)
+  }, this._opts.closeTimeout)
+
+  return function (err) {
+    if (timer) {
+      clearTimeout(timer)
+      timer = null
+      cb(err)
+    } else {
+      // timeout has been triggered
+      // can not call cb twice
+    }
+  }
+}
+
+/**
+ * Fails the close handler with an AbortError once the signal is aborted,
+ * so the close does not wait for it
+ *
+ * @param {AbortSignal} signal
+ * @param {Function} cb
+ * @returns {Function}
+ */
+function closeAbortCb (signal, cb) {
+  let called = false
+  const onAbort = () => {
+    called = true
+    cb(createAbortError(signal))
+  }
+  signal.addEventListener('abort', onAbort, { once: true })
+
+  return function (err) {
+    signal.removeEventListener('abort', onAbort)
+    if (!called) {
+      called = true
+      cb(err)
+    }
+  }
+}
+
+/**
+ * Keeps the name of the wrapped function, to be used in errors
+ *
+ * @param {Function} wrapper
+ * @param {Function} func
+ * @returns {Function}
+ */
+function keepName (wrapper, func) {
+  return Object.defineProperty(wrapper, 'name', { value: func ? func.name : wrapper.name })
+}
+
 function encapsulateTwoParam (func, that) {
-  return _encapsulateTwoParam.bind(that)
+  return keepName(_encapsulateTwoParam.bind(that), func)
   function _encapsulateTwoParam (context, cb) {
     let res
     if (func.length === 0) {
@@ -572,7 +1712,7 @@ function encapsulateTwoParam (func, that) {
 }
 
 function encapsulateThreeParam (func, that) {
-  return _encapsulateThreeParam.bind(that)
+  return keepName(_encapsulateThreeParam.bind(that), func)
   function _encapsulateThreeParam (err, cb) {
     let res
     if (!func) {
@@ -22,6 +22,127 @@ declare namespace avvio {
       ready?: string;
     };
     autostart?: boolean;
+    timeout?: number;
+    concurrency?: number;
+    closeTimeout?: number;
+    highResolutionTime?: boolean;
+    budget?: Budget;
+    profile?: boolean;
+    blockingThreshold?: number;
+    slowThreshold?: number;
+    bootDeadline?: number;
+    slowWarning?: boolean;
+    signal?: AbortSignal;
+    rollbackOnError?: boolean;
+    aggregateErrors?: boolean;
+    wrapErrors?: boolean;
+    ignoreFrames?: RegExp[];
+    spanExporter?: (spans: Span[]) => void | Promise<void>;
+  }
+
+  interface Budget {
+    total?: number | BudgetLimit;
+    perPlugin?: number | BudgetLimit;
+    hard?: boolean;
+  }
+
+  interface BudgetLimit {
+    ms: number;
+    hard?: boolean;
+  }
+
+  interface PrettyPrintOptions {
+    precision?: number;
+    self?: boolean;
+  }
+
+  interface CriticalPathNode {
+    id: string;
+    label: string;
+    start: number;
+    stop: number | null;
+    diff: number;
+    self: number;
+  }
+
+  interface TraceEvent {
+    name: string;
+    cat?: string;
+    ph: "X" | "B" | "M";
+    ts?: number;
+    dur?: number;
+    pid: number;
+    tid: number;
+    args: Object;
+  }
+
+  interface PluginSummary {
+    name: string;
+    isAfter: boolean;
+    waitingFor: string | null;
+  }
+
+  interface PluginDiagnostics extends PluginSummary {
+    id: string | null;
+    queue: { length: number; running: number };
+    loading: PluginSummary[];
+    pending: PluginSummary[];
+  }
+
+  interface Diagnostics {
+    started: boolean;
+    booted: boolean;
+    stack: PluginDiagnostics[];
+    ready: string[];
+  }
+
+  interface FailedPlugin {
+    name: string;
+    id: string | null;
+    error: Error;
+  }
+
+  interface PluginRetry {
+    name: string;
+    id: string | null;
+    attempt: number;
+    error: Error;
+    delay: number;
+  }
+
+  interface SlowPlugin {
+    name: string;
+    path: string[];
+    elapsed: number;
+  }
+
+  interface Blocking {
+    name: string;
+    id: string;
+    duration: number;
+  }
+
+  interface SpanAttribute {
+    key: string;
+    value: { stringValue: string };
+  }
+
+  interface Span {
+    traceId: string;
+    spanId: string;
+    parentSpanId?: string;
+    name: string;
+    kind: number;
+    startTimeUnixNano: string;
+    endTimeUnixNano: string;
+    attributes: SpanAttribute[];
+    events: { name: string; timeUnixNano: string; attributes: SpanAttribute[] }[];
+    status: { code: number; message?: string };
+  }
+
+  interface SpansOptions {
+    traceId?: string;
+    parentSpanId?: string;
   }
 
   interface Plugin<O, I> {
@@ -40,12 +161,31 @@ declare namespace avvio {
     on(event: "start", listener: () => void): this;
     on(event: "preReady", listener: () => void): this;
     on(event: "close", listener: () => void): this;
+    on(event: "warning", listener: (warning: Error) => void): this;
+    on(event: "blocking", listener: (blocking: Blocking) => void): this;
+    on(event: "slowPlugin", listener: (slowPlugin: SlowPlugin) => void): this;
+    on(event: "pluginFailed", listener: (failedPlugin: FailedPlugin) => void): this;
+    on(event: "pluginRetry", listener: (pluginRetry: PluginRetry) => void): this;
 
     start(): this;
 
     toJSON(): Object;
 
-    prettyPrint(): string;
+    prettyPrint(options?: PrettyPrintOptions): string;
+
+    closeToJSON(): Object;
+
+    closePrettyPrint(options?: PrettyPrintOptions): string;
+
+    toTraceEvents(): { traceEvents: TraceEvent[]; displayTimeUnit: string };
+
+    criticalPath(): CriticalPathNode[];
+
+    toSpans(options?: SpansOptions): Span[];
+
+    closeToSpans(options?: SpansOptions): Span[];
+
+    diagnose(): Diagnostics;
 
     override: (
       server: context<I>,
@@ -55,6 +195,7 @@ declare namespace avvio {
 
     started: boolean;
     booted: boolean;
+    failedPlugins: FailedPlugin[];
   }
 
   // Avvio methods
@@ -69,16 +210,17 @@ declare namespace avvio {
   }
 
   interface Ready<I, C = context<I>> {
-    (): Promise<C>;
-    (callback: (err?: Error) => void): void;
-    (callback: (err: Error, done: Function) => void): void;
-    (callback: (err: Error, context: C, done: Function) => void): void;
+    (signal?: AbortSignal): Promise<C>;
+    (callback: (err?: Error) => void, signal?: AbortSignal): void;
+    (callback: (err: Error, done: Function) => void, signal?: AbortSignal): void;
+    (callback: (err: Error, context: C, done: Function) => void, signal?: AbortSignal): void;
   }
 
   interface Close<I, C = context<I>> {
-    (fn: (err: Error) => void): void;
-    (fn: (err: Error, done: Function) => void): void;
-    (fn: (err: Error, context: C, done: Function) => void): void;
+    (signal?: AbortSignal): Promise<void>;
+    (fn: (err: Error) => void, signal?: AbortSignal): void;
+    (fn: (err: Error, done: Function) => void, signal?: AbortSignal): void;
+    (fn: (err: Error, context: C, done: Function) => void, signal?: AbortSignal): void;
   }
 
   interface OnClose<I, C = context<I>> {
@@ -0,0 +1,20 @@
+'use strict'
+
+const { AVV_ERR_ABORTED } = require('./errors')
+
+/**
+ * Returns the error an aborted operation fails with, named 'AbortError'
+ * like the ones of Node.js, with the reason of the signal as cause
+ *
+ * @param {AbortSignal} signal
+ * @returns {Error}
+ */
+function createAbortError (signal) {
+  const err = new AVV_ERR_ABORTED({ cause: signal.reason })
+  err.name = 'AbortError'
+  return err
+}
+
+module.exports = {
+  createAbortError
+}
@@ -0,0 +1,22 @@
+'use strict'
+
+const { AVV_ERR_AGGREGATE } = require('./errors')
+
+/**
+ * Returns the error failing an operation which raised several errors,
+ * an AggregateError with them as `errors`
+ *
+ * @param {Array<Error>} errors
+ * @param {string} operation
+ * @returns {AggregateError}
+ */
+function createAggregateError (errors, operation) {
+  const err = new AVV_ERR_AGGREGATE(operation, errors.length)
+  err.name = 'AggregateError'
+  err.errors = errors
+  return err
+}
+
+module.exports = {
+  createAggregateError
+}
@@ -0,0 +1,100 @@
+'use strict'
+
+const dc = require('node:diagnostics_channel')
+
+/**
+ * Channels published around a function completing through a callback,
+ * named like the ones of a `diagnostics_channel.tracingChannel`, so they
+ * can be subscribed with it where it is available.
+ * @typedef {object} TracingChannels
+ * @property {import('node:diagnostics_channel').Channel} start
+ * @property {import('node:diagnostics_channel').Channel} end
+ * @property {import('node:diagnostics_channel').Channel} asyncStart
+ * @property {import('node:diagnostics_channel').Channel} asyncEnd
+ * @property {import('node:diagnostics_channel').Channel} error
+ */
+
+/**
+ * @param {string} name
+ * @returns {TracingChannels}
+ */
+function createTracingChannels (name) {
+  return {
+    start: dc.channel(`tracing:${name}:start`),
+    end: dc.channel(`tracing:${name}:end`),
+    asyncStart: dc.channel(`tracing:${name}:asyncStart`),
+    asyncEnd: dc.channel(`tracing:${name}:asyncEnd`),
+    error: dc.channel(`tracing:${name}:error`)
+  }
+}
+
+const channels = {
+  pluginEnqueue: dc.channel('avvio:plugin:enqueue'),
+  pluginStart: dc.channel('avvio:plugin:start'),
+  pluginLoaded: dc.channel('avvio:plugin:loaded'),
+  pluginSkipped: dc.channel('avvio:plugin:skipped'),
+  pluginError: dc.channel('avvio:plugin:error'),
+  pluginTimeout: dc.channel('avvio:plugin:timeout'),
+  after: createTracingChannels('avvio:after'),
+  ready: createTracingChannels('avvio:ready'),
+  onClose: createTracingChannels('avvio:onClose'),
+  close: createTracingChannels('avvio:close')
+}
+
+/**
+ * @param {TracingChannels} tracingChannels
+ * @returns {boolean}
+ */
+function hasSubscribers (tracingChannels) {
+  return Object.values(tracingChannels).some((channel) => channel.hasSubscribers)
+}
+
+/**
+ * Wraps a queue worker running a user function, publishing `start` and `end`
+ * around the call of the worker, then `error`, `asyncStart` and `asyncEnd`
+ * around its callback. Every event receives the same message, with the
+ * `name` of the function, the function itself and the `error`, if any.
+ *
+ * @param {(func: Function) => TracingChannels} getChannels
+ * @param {(func: Function, callback: Function, ...args: any[]) => void} worker
+ * @returns {(func: Function, callback: Function, ...args: any[]) => void}
+ */
+function traceWorker (getChannels, worker) {
+  return function (func, callback, ...args) {
+    const tracingChannels = getChannels(func)
+    if (!hasSubscribers(tracingChannels)) {
+      return worker.call(this, func, callback, ...args)
+    }
+
+    const message = { name: func.name || 'anonymous', func, error: null }
+
+    const tracedCallback = function (err) {
+      if (err) {
+        message.error = err
+        tracingChannels.error.publish(message)
+      }
+      tracingChannels.asyncStart.publish(message)
+      try {
+        return callback.apply(this, arguments)
+      } finally {
+        tracingChannels.asyncEnd.publish(message)
+      }
+    }
+
+    tracingChannels.start.publish(message)
+    try {
+      return worker.call(this, func, tracedCallback, ...args)
+    } catch (err) {
+      message.error = err
+      tracingChannels.error.publish(message)
+      throw err
+    } finally {
+      tracingChannels.end.publish(message)
+    }
+  }
+}
+
+module.exports = {
+  channels,
+  traceWorker
+}
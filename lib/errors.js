@@ -34,5 +34,35 @@ module.exports = {
   AVV_ERR_PLUGIN_EXEC_TIMEOUT: createError(
     'AVV_ERR_PLUGIN_EXEC_TIMEOUT',
     "Plugin did not start in time: '%s'. You may have forgotten to call 'done' function or to resolve a Promise"
+  ),
+  AVV_ERR_PLUGIN_DEPENDENCY_MISSING: createError(
+    'AVV_ERR_PLUGIN_DEPENDENCY_MISSING',
+    "The dependency '%s' of plugin '%s' is not registered"
+  ),
+  AVV_ERR_CLOSE_TIMEOUT: createError(
+    'AVV_ERR_CLOSE_TIMEOUT',
+    "Close handler did not complete in time: '%s'. You may have forgotten to call 'done' function or to resolve a Promise"
+  ),
+  AVV_ERR_BUDGET_EXCEEDED: createError(
+    'AVV_ERR_BUDGET_EXCEEDED',
+    "Plugin '%s' took %s ms to load, exceeding its budget of %s ms"
+  ),
+  AVV_ERR_PLUGIN_FAILED: createError(
+    'AVV_ERR_PLUGIN_FAILED',
+    "Plugin '%s' failed: %s"
+  ),
+  AVV_ERR_BOOT_DEADLINE: createError(
+    'AVV_ERR_BOOT_DEADLINE',
+    'Boot did not complete within its deadline of %s ms'
+  ),
+  AVV_ERR_ABORTED: createError(
+    'AVV_ERR_ABORTED',
+    'The operation was aborted'
+  ),
+  AVV_ERR_AGGREGATE: createError(
+    'AVV_ERR_AGGREGATE',
+    'The %s raised %s error(s)',
+    500,
+    AggregateError
   )
 }
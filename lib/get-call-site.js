@@ -0,0 +1,47 @@
+'use strict'
+
+const path = require('node:path')
+
+const bootFile = path.join(__dirname, '..', 'boot.js')
+
+// matches both `at fn (file:line:column)` and `at file:line:column`
+const frameRegExp = /^\s*at (?:.+? \()?(.+?):(\d+):(\d+)\)?$/
+
+// the frameworks built on avvio, e.g. the `register()` of fastify
+const defaultIgnoreFrames = [/[\\/]node_modules[\\/]/]
+
+/**
+ * Returns the location of the first frame of the stack trace outside of
+ * avvio and of the ignored files, e.g. the `use()` call registering a plugin
+ *
+ * @param {string} [stack]
+ * @param {Array<RegExp>} [ignoreFrames] files whose frames are skipped,
+ *   the ones in node_modules by default
+ * @returns {string|null} as `file:line:column`
+ */
+function getCallSite (stack, ignoreFrames = defaultIgnoreFrames) {
+  if (typeof stack !== 'string') {
+    return null
+  }
+
+  for (const frame of stack.split('\n').slice(1)) {
+    const match = frameRegExp.exec(frame)
+    if (match === null || isAvvioFile(match[1]) || ignoreFrames.some((regExp) => regExp.test(match[1]))) {
+      continue
+    }
+    return `${match[1]}:${match[2]}:${match[3]}`
+  }
+  return null
+}
+
+/**
+ * @param {string} file
+ * @returns {boolean}
+ */
+function isAvvioFile (file) {
+  return file === bootFile || file.startsWith(__dirname + path.sep)
+}
+
+module.exports = {
+  getCallSite
+}
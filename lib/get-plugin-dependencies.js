@@ -0,0 +1,20 @@
+'use strict'
+
+// this symbol is assigned by fastify-plugin
+const { kPluginMeta } = require('./symbols')
+
+/**
+ * @param {function} plugin
+ * @returns {Array<string>}
+ */
+function getPluginDependencies (plugin) {
+  if (plugin[kPluginMeta] && Array.isArray(plugin[kPluginMeta].dependencies)) {
+    return plugin[kPluginMeta].dependencies
+  }
+
+  return []
+}
+
+module.exports = {
+  getPluginDependencies
+}
@@ -0,0 +1,19 @@
+'use strict'
+
+/**
+ * Returns the names of the plugin and of its ancestors, from the root
+ *
+ * @param {import('./plugin').Plugin} plugin
+ * @returns {Array<string>}
+ */
+function getPluginPath (plugin) {
+  const path = []
+  for (let current = plugin; current; current = current.parent) {
+    path.unshift(current.name)
+  }
+  return path
+}
+
+module.exports = {
+  getPluginPath
+}
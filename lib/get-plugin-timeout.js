@@ -0,0 +1,31 @@
+'use strict'
+
+// this symbol is assigned by fastify-plugin
+const { kPluginMeta } = require('./symbols')
+
+/**
+ * Returns the timeout set for a plugin in its options, or else in its
+ * metadata, and whether its nested plugins inherit it
+ *
+ * @param {function} plugin
+ * @param {object} [options]
+ * @param {number} [options.timeout]
+ * @param {boolean} [options.inheritTimeout]
+ * @returns {{ timeout: number, inherit: boolean }|null}
+ */
+function getPluginTimeout (plugin, options) {
+  for (const source of [options, plugin[kPluginMeta]]) {
+    if (source && source.timeout !== undefined) {
+      return {
+        timeout: Number(source.timeout) || 0,
+        inherit: source.inheritTimeout === true
+      }
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  getPluginTimeout
+}
@@ -0,0 +1,40 @@
+'use strict'
+
+/**
+ * @typedef {object} RetryPolicy
+ * @property {number} attempts maximum number of attempts, the first one included
+ * @property {(attempt: number, err: Error) => number} backoff millis to wait before the next attempt
+ * @property {(err: Error) => boolean} retryOn whether the error is worth another attempt
+ */
+
+/**
+ * Returns the retry policy set in the options of a plugin, with its defaults:
+ * 3 attempts, without waiting between them, whatever the error
+ *
+ * @param {object} [options]
+ * @param {object} [options.retry]
+ * @param {number} [options.retry.attempts]
+ * @param {number|function} [options.retry.backoff]
+ * @param {function} [options.retry.retryOn]
+ * @returns {RetryPolicy|null}
+ */
+function getRetryPolicy (options) {
+  const retry = options && options.retry
+  if (!retry) {
+    return null
+  }
+
+  const backoff = typeof retry.backoff === 'function'
+    ? retry.backoff
+    : () => Number(retry.backoff) || 0
+
+  return {
+    attempts: retry.attempts === undefined ? 3 : Math.max(Number(retry.attempts) || 1, 1),
+    backoff,
+    retryOn: typeof retry.retryOn === 'function' ? retry.retryOn : () => true
+  }
+}
+
+module.exports = {
+  getRetryPolicy
+}
@@ -0,0 +1,27 @@
+'use strict'
+
+// this symbol is assigned by fastify-plugin
+const { kPluginMeta } = require('./symbols')
+
+/**
+ * Returns whether a plugin may fail without failing the boot, as set in
+ * its options, or else in its metadata
+ *
+ * @param {function} plugin
+ * @param {object} [options]
+ * @param {boolean} [options.optional]
+ * @returns {boolean}
+ */
+function isOptionalPlugin (plugin, options) {
+  for (const source of [options, plugin[kPluginMeta]]) {
+    if (source && source.optional !== undefined) {
+      return source.optional === true
+    }
+  }
+
+  return false
+}
+
+module.exports = {
+  isOptionalPlugin
+}
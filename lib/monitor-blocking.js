@@ -0,0 +1,38 @@
+'use strict'
+
+const { performance } = require('node:perf_hooks')
+
+/**
+ * Samples the event loop with a timer, measuring how late it fires,
+ * returning a function which stops sampling and returns the longest time
+ * the event loop was blocked since the call. The time elapsed since the
+ * last sample is accounted for too, as a plugin often blocks right before
+ * calling `done`. The event loop is shared, so plugins executing at the
+ * same time are accounted for in each other.
+ *
+ * @param {number} [resolution] millis between the samples
+ * @returns {() => number} millis
+ */
+function monitorBlocking (resolution = 1) {
+  let last = performance.now()
+  let longest = 0
+
+  const sample = () => {
+    const now = performance.now()
+    longest = Math.max(longest, now - last - resolution)
+    last = now
+  }
+  const timer = setInterval(sample, resolution)
+  // the monitor alone must not keep the process alive
+  timer.unref()
+
+  return function stop () {
+    clearInterval(timer)
+    sample()
+    return longest
+  }
+}
+
+module.exports = {
+  monitorBlocking
+}
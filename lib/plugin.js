@@ -3,9 +3,12 @@
 const { EventEmitter } = require('node:events')
 const { inherits } = require('node:util')
 const { debug } = require('./debug')
+const { channels } = require('./diagnostics')
 const { createPromise } = require('./create-promise')
 const { AVV_ERR_PLUGIN_EXEC_TIMEOUT } = require('./errors')
 const { getPluginName } = require('./get-plugin-name')
+const { getPluginTimeout } = require('./get-plugin-timeout')
+const { getRetryPolicy } = require('./get-retry-policy')
 const { isPromiseLike } = require('./is-promise-like')
 
 /**
@@ -14,8 +17,10 @@ const { isPromiseLike } = require('./is-promise-like')
  * @param {*} options
  * @param {boolean} isAfter
  * @param {number} [timeout]
+ * @param {() => number} [now] clock used for the timings
+ * @param {number} [slowThreshold] interval of the 'slow' events while executing
  */
-function Plugin (queue, func, options, isAfter, timeout) {
+function Plugin (queue, func, options, isAfter, timeout, now = Date.now, slowThreshold = 0) {
   this.queue = queue
   this.func = func
   this.options = options
@@ -28,6 +33,19 @@ function Plugin (queue, func, options, isAfter, timeout) {
    * @type {number}
    */
   this.timeout = timeout
+  /**
+   * timeout of the nested plugins, when inherited from an ancestor
+   * @type {number|null}
+   */
+  this.childTimeout = null
+  /**
+   * @type {() => number}
+   */
+  this.now = now
+  /**
+   * @type {number}
+   */
+  this.slowThreshold = slowThreshold
 
   /**
    * @type {boolean}
@@ -52,6 +70,101 @@ function Plugin (queue, func, options, isAfter, timeout) {
   this._promise = null
 
   this.startTime = null
+
+  /**
+   * time spent in the synchronous part of the plugin function,
+   * during which the event loop is blocked
+   * @type {number|null}
+   */
+  this.syncTime = null
+
+  /**
+   * @type {Plugin|null}
+   */
+  this.parent = null
+
+  /**
+   * id of the node tracking the plugin in the plugin tree
+   * @type {string|null}
+   */
+  this.nodeId = null
+
+  /**
+   * message published on the diagnostics channels, the same for every
+   * channel so subscribers can correlate the events of the plugin
+   * @type {PluginMessage|null}
+   */
+  this.diagnosticsMessage = null
+
+  /**
+   * error failing the boot when the plugin exceeds a hard budget
+   * @type {Error|null}
+   */
+  this.budgetError = null
+
+  /**
+   * names of the nested plugins that completed loading
+   * @type {Array<string>}
+   */
+  this.loadedPlugins = []
+
+  /**
+   * nested plugins that are currently loading
+   * @type {Array<Plugin>}
+   */
+  this.loadingPlugins = []
+
+  /**
+   * nested plugins dequeued but not allowed to start loading yet
+   * @type {Array<{ plugin: Plugin, load: Function }>}
+   */
+  this._waiting = []
+
+  /**
+   * number of loaded siblings when the plugin was last deferred
+   * because of an unmet dependency
+   * @type {number|null}
+   */
+  this.deferredAt = null
+
+  /**
+   * sibling whose loading is awaited because of a dependency
+   * @type {Plugin|null}
+   */
+  this.waitingFor = null
+
+  /**
+   * error of a nested plugin, recorded when the plugin has an onError handler
+   * @type {Error|null}
+   */
+  this.subtreeError = null
+
+  /**
+   * attempts to execute the plugin, when it has a retry policy
+   * @type {Array<{ start: number, stop: number, error: Error|null }>|null}
+   */
+  this.attempts = null
+
+  /**
+   * onClose handlers registered by the subtree during the current attempt,
+   * when the plugin has a retry policy, to be discarded if it fails
+   * @type {Array<Function>|null}
+   */
+  this.onCloseHandlers = null
+
+  /**
+   * signal aborting the boot, handed to the plugin function in its options,
+   * whether the boot is aborted by the signal of avvio or of ready()
+   * @type {AbortSignal|null}
+   */
+  this.signal = null
+
+  /**
+   * holds the stack trace of the call registering the plugin, with the
+   * wrapErrors option, only formatted when reading it to locate one of its errors
+   * @type {{ stack?: string }|null}
+   */
+  this.registration = null
 }
 
 inherits(Plugin, EventEmitter)
@@ -78,17 +191,73 @@ Plugin.prototype.exec = function (server, callback) {
 
   this.options = typeof this.options === 'function' ? this.options(this.server) : this.options
 
+  if (this.options && this.options.concurrency) {
+    // nested plugins are loaded only once this one is executed,
+    // so it is safe to change the concurrency of the queue here
+    this.queue.concurrency = Number(this.options.concurrency)
+  }
+
+  // the function and the options are only known for sure at this point,
+  // the options of the root plugin are the ones of avvio
+  const pluginTimeout = this.parent === null ? null : getPluginTimeout(func, this.options)
+  if (pluginTimeout !== null) {
+    this.timeout = pluginTimeout.timeout
+    if (pluginTimeout.inherit) {
+      this.childTimeout = pluginTimeout.timeout
+    }
+  }
+
+  const retryPolicy = this.parent === null ? null : getRetryPolicy(this.options)
+  if (retryPolicy !== null) {
+    this.attempts = []
+  }
+
+  let attempt = 1
+  let attemptStart = null
   let timer = null
+  let slowTimer = null
 
   /**
+   * @param {number} fromAttempt attempt calling done, the previous ones are ignored
    * @param {Error} [execErr]
    */
-  const done = (execErr) => {
-    if (completed) {
+  const done = (fromAttempt, execErr) => {
+    if (completed || fromAttempt !== attempt) {
       debug('loading complete', name)
       return
     }
 
+    if (timer) {
+      clearTimeout(timer)
+      timer = null
+    }
+
+    if (retryPolicy !== null) {
+      this.attempts.push({ start: attemptStart, stop: this.now(), error: execErr || null })
+      let retry = false
+      let delay = 0
+      if (execErr && attempt < retryPolicy.attempts) {
+        // done may be called in a timer, so the errors of the policy
+        // fail the plugin instead of being thrown
+        try {
+          retry = retryPolicy.retryOn(execErr)
+          delay = retry ? Number(retryPolicy.backoff(attempt, execErr)) || 0 : 0
+        } catch (policyErr) {
+          debug('retry policy errored', name)
+          retry = false
+          execErr = policyErr
+        }
+      }
+      if (retry) {
+        debug('retrying', name, attempt, delay)
+        this.discardAttempt()
+        this.emit('retry', this.server ? this.server.name : null, this.name, attempt, execErr, delay)
+        attempt++
+        setTimeout(runAttempt, delay)
+        return
+      }
+    }
+
     this._error = execErr
 
     if (execErr) {
@@ -99,38 +268,85 @@ Plugin.prototype.exec = function (server, callback) {
 
     completed = true
 
-    if (timer) {
-      clearTimeout(timer)
+    if (slowTimer) {
+      clearInterval(slowTimer)
     }
 
+    this.emit('executed', this.server ? this.server.name : null, this.name, this.now(), execErr)
+
     callback(execErr)
   }
 
-  if (this.timeout > 0) {
-    debug('setting up timeout', name, this.timeout)
-    timer = setTimeout(function () {
-      debug('timed out', name)
-      timer = null
-      const readyTimeoutErr = new AVV_ERR_PLUGIN_EXEC_TIMEOUT(name)
-      // TODO Remove reference to function
-      readyTimeoutErr.fn = func
-      done(readyTimeoutErr)
-    }, this.timeout)
+  this.started = true
+  this.startTime = this.now()
+  this.emit('start', this.server ? this.server.name : null, this.name, this.startTime)
+  publish(channels.pluginStart, this)
+
+  if (this.slowThreshold > 0) {
+    debug('setting up slow watchdog', name, this.slowThreshold)
+    let ticks = 0
+    slowTimer = setInterval(() => {
+      debug('slow', name)
+      // timers are scheduled against the cached time of the event loop,
+      // the plugin is executing for at least as many thresholds as ticks
+      const elapsed = Math.max(this.now() - this.startTime, ++ticks * this.slowThreshold)
+      this.emit('slow', this.server ? this.server.name : null, this.name, elapsed)
+    }, this.slowThreshold)
+    // the watchdog alone must not keep the process alive
+    slowTimer.unref()
   }
 
-  this.started = true
-  this.startTime = Date.now()
-  this.emit('start', this.server ? this.server.name : null, this.name, Date.now())
+  if (this.signal !== null) {
+    exposeSignal(this.options, this.signal)
+  }
 
-  const maybePromiseLike = func(this.server, this.options, done)
+  const runAttempt = () => {
+    const currentAttempt = attempt
+    attemptStart = this.now()
+    if (retryPolicy !== null) {
+      this.onCloseHandlers = []
+    }
+
+    // the timeout applies to every attempt
+    if (this.timeout > 0) {
+      debug('setting up timeout', name, this.timeout)
+      timer = setTimeout(() => {
+        debug('timed out', name)
+        timer = null
+        const readyTimeoutErr = new AVV_ERR_PLUGIN_EXEC_TIMEOUT(name)
+        // TODO Remove reference to function
+        readyTimeoutErr.fn = func
+        publish(channels.pluginTimeout, this, readyTimeoutErr)
+        done(currentAttempt, readyTimeoutErr)
+      }, this.timeout)
+    }
+
+    const syncStart = this.now()
+    const maybePromiseLike = func(this.server, this.options, (execErr) => done(currentAttempt, execErr))
+    this.syncTime = this.now() - syncStart
 
-  if (isPromiseLike(maybePromiseLike)) {
-    debug('exec: resolving promise', name)
+    if (isPromiseLike(maybePromiseLike)) {
+      debug('exec: resolving promise', name)
 
-    maybePromiseLike.then(
-      () => process.nextTick(done),
-      (e) => process.nextTick(done, e))
+      maybePromiseLike.then(
+        () => process.nextTick(done, currentAttempt),
+        (e) => process.nextTick(done, currentAttempt, e))
+    }
   }
+
+  runAttempt()
+}
+
+/**
+ * Discards the nested plugins registered by a failed attempt and not
+ * loaded yet, before the plugin is executed again
+ */
+Plugin.prototype.discardAttempt = function () {
+  debug('discarding attempt', this.name)
+  // the nested plugins are loaded once the plugin is executed, unless
+  // it awaited them: those are not undone, only marked as discarded
+  this.queue.kill()
+  this.loadedPlugins = []
 }
 
 /**
@@ -196,10 +412,81 @@ Plugin.prototype.loadedSoFar = function () {
 Plugin.prototype.enqueue = function (plugin, callback) {
   debug('enqueue', this.name, plugin.name)
 
-  this.emit('enqueue', this.server ? this.server.name : null, this.name, Date.now())
+  this.emit('enqueue', this.server ? this.server.name : null, this.name, this.now())
+  publish(channels.pluginEnqueue, plugin)
   this.queue.push(plugin, callback)
 }
 
+/**
+ * Enqueues again a nested plugin waiting for a sibling, at the end of the
+ * queue, or before the first after in it so the after still waits for it.
+ * fastq cannot insert a task, so the queue is filled again.
+ *
+ * @param {Plugin} plugin
+ * @param {(plugin: Plugin) => EnqueueCallback} getCallback
+ *   returns the callback of a queued plugin
+ */
+Plugin.prototype.defer = function (plugin, getCallback) {
+  const queued = this.queue.getQueue()
+  const index = queued.findIndex((sibling) => sibling.isAfter)
+  if (index === -1) {
+    this.queue.push(plugin, getCallback(plugin))
+    return
+  }
+
+  queued.splice(index, 0, plugin)
+  const drain = this.queue.drain
+  this.queue.kill()
+  this.queue.drain = drain
+  for (const sibling of queued) {
+    this.queue.push(sibling, getCallback(sibling))
+  }
+}
+
+/**
+ * Calls `load` once the nested plugin is allowed to start loading.
+ * Siblings can load concurrently, but an `after` waits for all the
+ * siblings before it, and the ones after it wait for the `after`.
+ *
+ * @param {Plugin} plugin
+ * @param {Function} load
+ */
+Plugin.prototype.acquire = function (plugin, load) {
+  this._waiting.push({ plugin, load })
+  this._loadWaiting()
+}
+
+/**
+ * Marks the nested plugin as no longer loading
+ *
+ * @param {Plugin} plugin
+ */
+Plugin.prototype.release = function (plugin) {
+  const index = this.loadingPlugins.indexOf(plugin)
+  if (index !== -1) {
+    this.loadingPlugins.splice(index, 1)
+    this._loadWaiting()
+  }
+}
+
+Plugin.prototype._loadWaiting = function () {
+  while (this._waiting.length > 0) {
+    const { plugin, load } = this._waiting[0]
+    const blocked = plugin.isAfter
+      ? this.loadingPlugins.length > 0
+      : this.loadingPlugins.some((loading) => loading.isAfter)
+
+    if (blocked) {
+      debug('waiting to load', this.name, plugin.name)
+      return
+    }
+
+    this._waiting.shift()
+    this.loadingPlugins.push(plugin)
+    load()
+  }
+}
+
 /**
  * @callback FinishCallback
  * @param {Error|null} finishErr
@@ -220,8 +507,11 @@ Plugin.prototype.finish = function (err, callback) {
     }
 
     debug('loaded', this.name)
-    this.emit('loaded', this.server ? this.server.name : null, this.name, Date.now())
+    this.emit('loaded', this.server ? this.server.name : null, this.name, this.now(), err)
     this.loaded = true
+    // a plugin never started was skipped, because of an earlier error or an abort
+    const channel = err ? channels.pluginError : this.started ? channels.pluginLoaded : channels.pluginSkipped
+    publish(channel, this, err)
 
     callback(err)
   }
@@ -272,6 +562,54 @@ Plugin.prototype.finish = function (err, callback) {
 
 function noop () {}
 
+/**
+ * Exposes the signal as a non-enumerable `signal` of the options given to
+ * use(), without copying them, unless they carry a signal of their own
+ *
+ * @param {any} options
+ * @param {AbortSignal} signal
+ */
+function exposeSignal (options, signal) {
+  if (options === null || typeof options !== 'object' || 'signal' in options || !Object.isExtensible(options)) {
+    return
+  }
+  Object.defineProperty(options, 'signal', { value: signal, enumerable: false, writable: true, configurable: true })
+}
+
+/**
+ * @typedef {object} PluginMessage
+ * @property {string|null} id the id of the node tracking the plugin, null until it is dequeued
+ * @property {string} name
+ * @property {Function} func
+ * @property {string|null} parent
+ * @property {Error|null} error
+ */
+
+/**
+ * Publishes the message of the plugin on a diagnostics channel, updating
+ * its node id and error
+ *
+ * @param {import('node:diagnostics_channel').Channel} channel
+ * @param {Plugin} plugin
+ * @param {Error|null} [error]
+ */
+function publish (channel, plugin, error = null) {
+  if (channel.hasSubscribers) {
+    if (plugin.diagnosticsMessage === null) {
+      plugin.diagnosticsMessage = {
+        id: null,
+        name: plugin.name,
+        func: plugin.func,
+        parent: plugin.parent ? plugin.parent.name : null,
+        error: null
+      }
+    }
+    plugin.diagnosticsMessage.id = plugin.nodeId
+    plugin.diagnosticsMessage.error = error
+    channel.publish(plugin.diagnosticsMessage)
+  }
+}
+
 module.exports = {
   Plugin
 }
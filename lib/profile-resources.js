@@ -0,0 +1,49 @@
+'use strict'
+
+const { performance } = require('node:perf_hooks')
+
+/**
+ * Resources used by the process while a plugin was loading.
+ * They are measured for the whole process, so plugins loading
+ * concurrently are accounted for in each other.
+ * @typedef {object} ResourceUsage
+ * @property {number} heapUsed delta of the used heap, in bytes
+ * @property {number} rss delta of the resident set size, in bytes
+ * @property {number} activeHandles delta of the active handles and requests
+ * @property {number} eventLoopUtilization ratio of time the event loop was busy, from 0 to 1
+ */
+
+/**
+ * @returns {number}
+ */
+function countActiveHandles () {
+  return typeof process.getActiveResourcesInfo === 'function'
+    ? process.getActiveResourcesInfo().length
+    : 0
+}
+
+/**
+ * Samples the resources used by the process, returning a function
+ * which returns their usage since the sample
+ *
+ * @returns {() => ResourceUsage}
+ */
+function profileResources () {
+  const { heapUsed, rss } = process.memoryUsage()
+  const activeHandles = countActiveHandles()
+  const eventLoopUtilization = performance.eventLoopUtilization()
+
+  return function stop () {
+    const memoryUsage = process.memoryUsage()
+    return {
+      heapUsed: memoryUsage.heapUsed - heapUsed,
+      rss: memoryUsage.rss - rss,
+      activeHandles: countActiveHandles() - activeHandles,
+      eventLoopUtilization: performance.eventLoopUtilization(eventLoopUtilization).utilization
+    }
+  }
+}
+
+module.exports = {
+  profileResources
+}
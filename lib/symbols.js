@@ -3,6 +3,8 @@
 // Internal Symbols
 const kAvvio = Symbol('avvio.Boot')
 const kIsOnCloseHandler = Symbol('isOnCloseHandler')
+const kPluginName = Symbol('avvio.pluginName')
+const kPluginPath = Symbol('avvio.pluginPath')
 const kThenifyDoNotWrap = Symbol('avvio.ThenifyDoNotWrap')
 const kUntrackNode = Symbol('avvio.TimeTree.untrackNode')
 const kTrackNode = Symbol('avvio.TimeTree.trackNode')
@@ -16,6 +18,8 @@ const kPluginMeta = Symbol.for('plugin-meta')
 module.exports = {
   kAvvio,
   kIsOnCloseHandler,
+  kPluginName,
+  kPluginPath,
   kThenifyDoNotWrap,
   kUntrackNode,
   kTrackNode,
@@ -1,5 +1,6 @@
 'use strict'
 
+const { createHash, randomBytes } = require('node:crypto')
 const {
   kUntrackNode,
   kTrackNode,
@@ -11,34 +12,149 @@ const {
 /**
  * Node of the TimeTree
  * @typedef {object} TimeTreeNode
- * @property {string} id
- * @property {string|null} parent
+ * @property {string} id path of the node in the tree, e.g. `root/db/0`
+ * @property {string|null} parent id of the parent node
  * @property {string} label
  * @property {Array<TimeTreeNode>} nodes
  * @property {number} start
  * @property {number|undefined} stop
- * @property {number|undefined} diff
+ * @property {number|undefined} diff time spent in the node, including its nodes
+ * @property {number|undefined} self time spent in the node, excluding its nodes
+ * @property {TimeTreeNodeStatus} status
+ * @property {TimeTreeNodeError|null} error
+ * @property {import('./profile-resources').ResourceUsage|null} resources
+ *   resources used while the node was running, when profiled
+ * @property {number|null} blocked time the node blocked the event loop, when over the threshold
+ * @property {Array<TimeTreeNodeAttempt>|null} attempts attempts to load the node, when it has a retry policy
+ */
+
+/**
+ * Attempt to load a TimeTreeNode
+ * @typedef {object} TimeTreeNodeAttempt
+ * @property {number} start
+ * @property {number} stop
+ * @property {TimeTreeNodeError|null} error
+ */
+
+/**
+ * Status of a TimeTreeNode
+ * @typedef {'loading'|'loaded'|'failed'|'timedOut'|'skipped'|'discarded'} TimeTreeNodeStatus
+ */
+
+/**
+ * Error of a TimeTreeNode
+ * @typedef {object} TimeTreeNodeError
+ * @property {string|undefined} code
+ * @property {string} message
+ */
+
+/**
+ * Options of the TimeTree
+ * @typedef {object} TimeTreeOptions
+ * @property {() => number} [now] clock used when no time is given
+ * @property {number} [precision] number of decimals of the printed durations
+ */
+
+/**
+ * Options of TimeTree#prettyPrint
+ * @typedef {object} PrettyPrintOptions
+ * @property {number} [precision] number of decimals of the printed durations
+ * @property {boolean} [self] print the self time of the nodes as well
+ */
+
+/**
+ * Node of the critical path
+ * @typedef {object} CriticalPathNode
+ * @property {string} id
+ * @property {string} label
+ * @property {number} start
+ * @property {number|null} stop
+ * @property {number} diff
+ * @property {number} self
+ */
+
+/**
+ * Event of the Chrome Trace Event format
+ * @typedef {object} TraceEvent
+ * @property {string} name
+ * @property {string} [cat]
+ * @property {'X'|'B'|'M'} ph
+ * @property {number} [ts] microseconds
+ * @property {number} [dur] microseconds
+ * @property {number} pid
+ * @property {number} tid
+ * @property {object} args
+ */
+
+/**
+ * Options of TimeTree#toTraceEvents
+ * @typedef {object} TraceEventsOptions
+ * @property {string} [cat] category of the events
+ * @property {number} [pid] process id of the events
+ * @property {number} [tid] thread id of the events
+ */
+
+/**
+ * Span in the OTLP/JSON format of OpenTelemetry
+ * @typedef {object} Span
+ * @property {string} traceId 32 hex characters
+ * @property {string} spanId 16 hex characters
+ * @property {string} [parentSpanId] 16 hex characters
+ * @property {string} name
+ * @property {number} kind
+ * @property {string} startTimeUnixNano
+ * @property {string} endTimeUnixNano
+ * @property {Array<SpanAttribute>} attributes
+ * @property {Array<{ name: string, timeUnixNano: string, attributes: Array<SpanAttribute> }>} events
+ * @property {{ code: number, message?: string }} status
+ */
+
+/**
+ * Attribute of a span in the OTLP/JSON format
+ * @typedef {object} SpanAttribute
+ * @property {string} key
+ * @property {{ stringValue: string }} value
  */
 
+/**
+ * Options of TimeTree#toSpans
+ * @typedef {object} SpansOptions
+ * @property {string} [traceId] trace of the spans, random by default
+ * @property {string} [parentSpanId] span the root node is a child of
+ */
+
+const SPAN_KIND_INTERNAL = 1
+const STATUS_CODE_UNSET = 0
+const STATUS_CODE_ERROR = 2
+
 class TimeTree {
-  constructor () {
+  /**
+   * @param {TimeTreeOptions} [options]
+   */
+  constructor ({ now = Date.now, precision = 0 } = {}) {
     /**
-     * @type {TimeTreeNode|null} root
+     * @type {() => number} now
      * @public
      */
-    this.root = null
+    this.now = now
 
     /**
-     * @type {Map<string, TimeTreeNode>} tableId
+     * @type {number} precision
      * @public
      */
-    this.tableId = new Map()
+    this.precision = precision
+
+    /**
+     * @type {TimeTreeNode|null} root
+     * @public
+     */
+    this.root = null
 
     /**
-     * @type {Map<string, Array<TimeTreeNode>>} tableLabel
+     * @type {Map<string, TimeTreeNode>} tableId
      * @public
      */
-    this.tableLabel = new Map()
+    this.tableId = new Map()
   }
 
   /**
@@ -46,11 +162,6 @@ class TimeTree {
    */
   [kTrackNode] (node) {
     this.tableId.set(node.id, node)
-    if (this.tableLabel.has(node.label)) {
-      this.tableLabel.get(node.label).push(node)
-    } else {
-      this.tableLabel.set(node.label, [node])
-    }
   }
 
   /**
@@ -58,28 +169,17 @@ class TimeTree {
    */
   [kUntrackNode] (node) {
     this.tableId.delete(node.id)
-
-    const labelNode = this.tableLabel.get(node.label)
-    labelNode.pop()
-
-    if (labelNode.length === 0) {
-      this.tableLabel.delete(node.label)
-    }
   }
 
   /**
-   * @param {string} parent
-   * @returns {TimeTreeNode}
+   * @param {string|null} parent id of the parent node
+   * @returns {TimeTreeNode|null}
    */
   [kGetParent] (parent) {
     if (parent === null) {
       return null
-    } else if (this.tableLabel.has(parent)) {
-      const parentNode = this.tableLabel.get(parent)
-      return parentNode[parentNode.length - 1]
-    } else {
-      return null
     }
+    return this.tableId.get(parent) || null
   }
 
   /**
@@ -92,7 +192,7 @@ class TimeTree {
   }
 
   /**
-   * @param {string} parent
+   * @param {string|null} parent id of the parent node
    * @param {string} label
    * @param {number} start
    * @returns {TimeTreeNode["id"]}
@@ -109,13 +209,22 @@ class TimeTree {
         nodes: [],
         start,
         stop: null,
-        diff: -1
+        diff: -1,
+        self: -1,
+        status: 'loading',
+        error: null,
+        resources: null,
+        blocked: null,
+        attempts: null
       }
       this[kTrackNode](this.root)
       return this.root.id
     }
 
-    const nodeId = `${label}-${Math.random()}`
+    // the id is the position of the node in the tree, so that the same
+    // tree gets the same ids on every run
+    const index = parentNode.nodes.filter((node) => node.label === label).length
+    const nodeId = `${parentNode.id}/${label}/${index}`
     /**
      * @type {TimeTreeNode}
      */
@@ -126,7 +235,13 @@ class TimeTree {
       nodes: [],
       start,
       stop: null,
-      diff: -1
+      diff: -1,
+      self: -1,
+      status: 'loading',
+      error: null,
+      resources: null,
+      blocked: null,
+      attempts: null
     }
     parentNode.nodes.push(childNode)
     this[kTrackNode](childNode)
@@ -134,28 +249,45 @@ class TimeTree {
   }
 
   /**
-   * @param {string} parent
+   * @param {string|null} parent id of the parent node
    * @param {string} label
    * @param {number|undefined} start
    * @returns {TimeTreeNode["id"]}
    */
-  start (parent, label, start = Date.now()) {
+  start (parent, label, start = this.now()) {
     return this[kAddNode](parent, label, start)
   }
 
   /**
    * @param {string} nodeId
    * @param {number|undefined} stop
+   * @param {TimeTreeNodeStatus|undefined} status
+   * @param {Error|null|undefined} error
    */
-  stop (nodeId, stop = Date.now()) {
+  stop (nodeId, stop = this.now(), status = 'loaded', error = null) {
     const node = this[kGetNode](nodeId)
     if (node) {
       node.stop = stop
       node.diff = (node.stop - node.start) || 0
+      node.self = getSelfTime(node, stop)
+      node.status = status
+      node.error = error ? { code: error.code, message: error.message } : null
       this[kUntrackNode](node)
     }
   }
 
+  /**
+   * Returns the time spent in a node as if it was stopped at the given time
+   *
+   * @param {string} nodeId
+   * @param {number|undefined} stop
+   * @returns {{ diff: number, self: number }}
+   */
+  measure (nodeId, stop = this.now()) {
+    const node = this[kGetNode](nodeId)
+    return { diff: (stop - node.start) || 0, self: getSelfTime(node, stop) }
+  }
+
   /**
    * @returns {TimeTreeNode}
    */
@@ -164,24 +296,135 @@ class TimeTree {
   }
 
   /**
+   * Returns the nodes as complete events of the Chrome Trace Event format,
+   * nested by time on the same thread. Nodes not stopped yet are begin events.
+   * Siblings overlapping in time are placed on the threads following `tid`.
+   *
+   * @param {TraceEventsOptions} [options]
+   * @returns {Array<TraceEvent>}
+   */
+  toTraceEvents ({ cat = 'avvio', pid = process.pid, tid = 0 } = {}) {
+    const events = []
+    if (this.root !== null) {
+      traceEventsTimeTree(this.root, { cat, pid, tid }, events)
+    }
+    return events
+  }
+
+  /**
+   * Returns the nodes as OpenTelemetry spans in the OTLP/JSON format.
+   * The span ids are derived from the trace id and the node ids, and
+   * nodes not stopped yet end now.
+   *
+   * @param {SpansOptions} [options]
+   * @returns {Array<Span>}
+   */
+  toSpans ({ traceId = randomBytes(16).toString('hex'), parentSpanId } = {}) {
+    const spans = []
+    if (this.root !== null) {
+      spansTimeTree(this.root, { traceId, parentSpanId, now: this.now() }, spans)
+    }
+    return spans
+  }
+
+  /**
+   * Returns the chain of nodes from the root which took the most time,
+   * following at each level the node with the highest diff
+   *
+   * @returns {Array<CriticalPathNode>}
+   */
+  criticalPath () {
+    const path = []
+    for (let node = this.root; node; node = getLongestNode(node.nodes)) {
+      const { id, label, start, stop, diff, self } = node
+      path.push({ id, label, start, stop, diff, self })
+    }
+    return path
+  }
+
+  /**
+   * @param {PrettyPrintOptions} [options]
    * @returns {string}
    */
-  prettyPrint () {
-    return prettyPrintTimeTree(this.toJSON())
+  prettyPrint ({ precision = this.precision, self = false } = {}) {
+    if (this.root === null) {
+      return ''
+    }
+    return prettyPrintTimeTree(this.toJSON(), '', { precision, self })
   }
 }
 
+/**
+ * Returns the time spent in the node and not in its nodes,
+ * which can overlap when they are loaded concurrently
+ *
+ * @param {TimeTreeNode} node
+ * @param {number} stop
+ * @returns {number}
+ */
+function getSelfTime (node, stop) {
+  const diff = (stop - node.start) || 0
+  const intervals = node.nodes
+    .filter((child) => child.stop !== null)
+    .map((child) => [Math.max(child.start, node.start), Math.min(child.stop, stop)])
+    .sort((a, b) => a[0] - b[0])
+
+  let covered = 0
+  let end = -Infinity
+  for (const [start, stop] of intervals) {
+    if (stop > end) {
+      covered += stop - Math.max(start, end)
+      end = stop
+    }
+  }
+  return Math.max(diff - covered, 0)
+}
+
+/**
+ * @param {Array<TimeTreeNode>} nodes
+ * @returns {TimeTreeNode|undefined}
+ */
+function getLongestNode (nodes) {
+  let longest
+  for (const node of nodes) {
+    if (longest === undefined || node.diff > longest.diff) {
+      longest = node
+    }
+  }
+  return longest
+}
+
 /**
  * @param {TimeTreeNode} obj
  * @param {string|undefined} prefix
+ * @param {PrettyPrintOptions} [options]
  * @returns {string}
  */
-function prettyPrintTimeTree (obj, prefix = '') {
+function prettyPrintTimeTree (obj, prefix = '', options = { precision: 0, self: false }) {
   let result = prefix
 
   const nodesCount = obj.nodes.length
   const lastIndex = nodesCount - 1
-  result += `${obj.label} ${obj.diff} ms\n`
+  result += `${obj.label} ${obj.diff.toFixed(options.precision)} ms`
+  if (options.self && obj.stop !== null) {
+    result += ` (self ${obj.self.toFixed(options.precision)} ms)`
+  }
+  if (obj.resources) {
+    result += ` (${formatResources(obj.resources)})`
+  }
+  if (obj.blocked !== null) {
+    result += ` (blocked ${obj.blocked.toFixed(options.precision)} ms)`
+  }
+  if (obj.attempts !== null && obj.attempts.length > 1) {
+    result += ` (${obj.attempts.length} attempts)`
+  }
+  if (obj.status !== 'loading' && obj.status !== 'loaded') {
+    result += ` [${obj.status}]`
+  }
+  if (obj.error) {
+    result += obj.error.code ? ` ${obj.error.code}: ${obj.error.message}` : ` ${obj.error.message}`
+  }
+  result += '\n'
 
   for (let i = 0; i < nodesCount; ++i) {
     const node = obj.nodes[i]
@@ -190,11 +433,117 @@ function prettyPrintTimeTree (obj, prefix = '') {
     result += prefix
     result += (i === lastIndex ? '└─' : '├─')
     result += (node.nodes.length === 0 ? '─ ' : '┬ ')
-    result += prettyPrintTimeTree(node, prefix_).slice(prefix.length + 2)
+    result += prettyPrintTimeTree(node, prefix_, options).slice(prefix.length + 2)
   }
   return result
 }
 
+/**
+ * @param {import('./profile-resources').ResourceUsage} resources
+ * @returns {string}
+ */
+function formatResources ({ heapUsed, rss, activeHandles, eventLoopUtilization }) {
+  const formatBytes = (bytes) => `${bytes < 0 ? '-' : '+'}${(Math.abs(bytes) / 1024 / 1024).toFixed(1)} MB`
+  const handles = `${activeHandles < 0 ? '' : '+'}${activeHandles}`
+  const elu = `${Math.round(eventLoopUtilization * 100)}%`
+  return `heap ${formatBytes(heapUsed)}, rss ${formatBytes(rss)}, handles ${handles}, elu ${elu}`
+}
+
+/**
+ * @param {TimeTreeNode} node
+ * @param {TraceEventsOptions} options
+ * @param {Array<TraceEvent>} events
+ * @param {{ next: number }} [threads] the next thread free for overlapping siblings
+ */
+function traceEventsTimeTree (node, { cat, pid, tid }, events, threads = { next: tid + 1 }) {
+  /**
+   * @type {TraceEvent}
+   */
+  const event = {
+    name: node.label,
+    cat,
+    ph: node.stop === null ? 'B' : 'X',
+    ts: node.start * 1000,
+    pid,
+    tid,
+    args: { status: node.status, error: node.error }
+  }
+  if (node.stop !== null) {
+    event.dur = node.diff * 1000
+  }
+  events.push(event)
+
+  // siblings loading concurrently overlap without nesting, each of them is
+  // placed on the first thread free at its start, or on a new thread
+  const lanes = [{ tid, stop: -Infinity }]
+  for (const child of node.nodes) {
+    let lane = lanes.find((lane) => lane.stop <= child.start)
+    if (lane === undefined) {
+      lane = { tid: threads.next++, stop: -Infinity }
+      lanes.push(lane)
+    }
+    lane.stop = child.stop === null ? Infinity : child.stop
+    traceEventsTimeTree(child, { cat, pid, tid: lane.tid }, events, threads)
+  }
+}
+
+/**
+ * @param {TimeTreeNode} node
+ * @param {{ traceId: string, parentSpanId: string|undefined, now: number }} options
+ * @param {Array<Span>} spans
+ */
+function spansTimeTree (node, { traceId, parentSpanId, now }, spans) {
+  const spanId = createHash('sha256').update(`${traceId}:${node.id}`).digest('hex').slice(0, 16)
+  const stop = node.stop === null ? now : node.stop
+
+  /**
+   * @type {Span}
+   */
+  const span = {
+    traceId,
+    spanId,
+    parentSpanId,
+    name: node.label,
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: toUnixNano(node.start),
+    endTimeUnixNano: toUnixNano(stop),
+    attributes: [
+      { key: 'avvio.id', value: { stringValue: node.id } },
+      { key: 'avvio.plugin', value: { stringValue: node.label } },
+      { key: 'avvio.status', value: { stringValue: node.status } }
+    ],
+    events: [],
+    status: { code: STATUS_CODE_UNSET }
+  }
+  if (node.error) {
+    span.events.push({
+      name: 'exception',
+      timeUnixNano: toUnixNano(stop),
+      attributes: [
+        { key: 'exception.type', value: { stringValue: node.error.code || 'Error' } },
+        { key: 'exception.message', value: { stringValue: node.error.message } }
+      ]
+    })
+    span.status = { code: STATUS_CODE_ERROR, message: node.error.message }
+  }
+  spans.push(span)
+
+  for (const child of node.nodes) {
+    spansTimeTree(child, { traceId, parentSpanId: spanId, now }, spans)
+  }
+}
+
+/**
+ * Converts milliseconds since the epoch to the nanoseconds of OTLP,
+ * as a string since they do not fit in a number
+ *
+ * @param {number} time
+ * @returns {string}
+ */
+function toUnixNano (time) {
+  return (BigInt(Math.round(time * 1000)) * 1000n).toString()
+}
+
 module.exports = {
   TimeTree
 }
@@ -0,0 +1,261 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('aborting the signal of the options fails the boot', (t) => {
+  t.plan(6)
+
+  const controller = new AbortController()
+  const app = boot({}, { signal: controller.signal })
+  const reason = new Error('rollout cancelled')
+
+  app.use(function first (s, opts, done) {
+    t.equal(opts.signal.aborted, false)
+    opts.signal.addEventListener('abort', () => {
+      t.equal(opts.signal.reason.name, 'AbortError')
+      done()
+    })
+    controller.abort(reason)
+  })
+  app.use(function never (s, opts, done) {
+    t.fail('should not be loaded')
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.name, 'AbortError')
+    t.equal(err.code, 'AVV_ERR_ABORTED')
+    t.equal(err.cause, reason)
+    t.equal(app.booted, false)
+  })
+})
+
+test('ready rejects with an AbortError without waiting for the plugins in flight', (t) => {
+  t.plan(3)
+
+  const controller = new AbortController()
+  const app = boot({}, { signal: controller.signal })
+
+  app.use(function stuck (s, opts, done) {
+    // do not call done on purpose
+  })
+
+  setTimeout(() => controller.abort(), 10)
+
+  app.ready().catch((err) => {
+    t.equal(err.name, 'AbortError')
+    const node = app.toJSON().nodes[0]
+    t.equal(node.label, 'stuck')
+    t.equal(node.status, 'loading')
+  })
+})
+
+test('an already aborted signal skips every plugin', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { signal: AbortSignal.abort() })
+
+  app.use(function never (s, opts, done) {
+    t.fail('should not be loaded')
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.name, 'AbortError')
+    // ready does not wait for the plugins to be skipped
+    setTimeout(() => {
+      t.same(app.toJSON().nodes.map(({ status }) => status), ['skipped'])
+    }, 10)
+  })
+})
+
+test('the signal of ready aborts the boot', (t) => {
+  t.plan(3)
+
+  const controller = new AbortController()
+  const app = boot()
+
+  app.use(function slow (s, opts, done) {
+    t.equal(opts.signal.aborted, false)
+    opts.signal.addEventListener('abort', () => {
+      t.pass('the plugin signal is aborted')
+    })
+    setTimeout(done, 20)
+  })
+
+  app.ready(controller.signal).then(() => {
+    t.fail('should not boot')
+  }, (err) => {
+    t.equal(err.name, 'AbortError')
+  })
+
+  setTimeout(() => controller.abort(), 10)
+})
+
+test('the signal of ready with a callback', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function slow (s, opts, done) {
+    setTimeout(done, 20)
+  })
+
+  app.ready((err) => {
+    t.equal(err.name, 'AbortError')
+  }, AbortSignal.timeout(5))
+})
+
+test('aborting the signal after the boot has no effect', (t) => {
+  t.plan(2)
+
+  const controller = new AbortController()
+  const app = boot({}, { signal: controller.signal })
+
+  app.use(function plugin (s, opts, done) {
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    controller.abort()
+    t.equal(app.booted, true)
+  })
+})
+
+test('the listeners of the signals are removed once booted', (t) => {
+  t.plan(3)
+
+  const signal = new AbortController().signal
+  let listeners = 0
+  const addEventListener = signal.addEventListener
+  const removeEventListener = signal.removeEventListener
+  signal.addEventListener = function (...args) {
+    listeners++
+    return addEventListener.apply(this, args)
+  }
+  signal.removeEventListener = function (...args) {
+    listeners--
+    return removeEventListener.apply(this, args)
+  }
+
+  const app = boot({}, { signal })
+  app.use(function plugin (s, opts, done) {
+    done()
+  })
+
+  app.ready(signal).then(() => {
+    t.equal(listeners, 0)
+    app.ready((err) => {
+      t.error(err)
+      t.equal(listeners, 0)
+    }, signal)
+  })
+})
+
+test('the signal of the plugin options takes precedence', (t) => {
+  t.plan(1)
+
+  const signal = new AbortController().signal
+  const app = boot({}, { signal: new AbortController().signal })
+
+  app.use(function plugin (s, opts, done) {
+    t.equal(opts.signal, signal)
+    done()
+  }, { signal })
+
+  app.ready()
+})
+
+test('the plugins receive the options given to use without a signal', (t) => {
+  t.plan(5)
+
+  const app = boot()
+  const opts = Object.create({ host: 'localhost' })
+
+  app.use(function plugin (s, o, done) {
+    t.equal(o, opts)
+    t.equal(o.host, 'localhost')
+    t.equal(o.signal, undefined)
+    o.port = 3000
+    done()
+  }, opts)
+
+  app.ready((err) => {
+    t.error(err)
+    t.equal(opts.port, 3000)
+  })
+})
+
+test('the signal is added to the options given to use', (t) => {
+  t.plan(4)
+
+  const app = boot({}, { signal: new AbortController().signal })
+  const opts = Object.create({ host: 'localhost' })
+
+  app.use(function plugin (s, o, done) {
+    t.equal(o, opts)
+    t.equal(o.host, 'localhost')
+    t.equal(o.signal.aborted, false)
+    t.same(Object.keys(o), [])
+    done()
+  }, opts)
+
+  app.ready()
+})
+
+test('the exposed ready accepts a signal', (t) => {
+  t.plan(1)
+
+  const server = {}
+  boot(server)
+
+  server.use(function slow (s, opts, done) {
+    setTimeout(done, 20)
+  })
+
+  server.ready(AbortSignal.timeout(5)).catch((err) => {
+    t.equal(err.name, 'AbortError')
+  })
+})
+
+test('aborting close skips the remaining onClose handlers', (t) => {
+  t.plan(4)
+
+  const controller = new AbortController()
+  const app = boot()
+
+  app.onClose(function last (instance, done) {
+    t.fail('should be skipped')
+    done()
+  })
+  app.onClose(function stuck (instance, done) {
+    controller.abort()
+    // do not call done on purpose
+  })
+
+  app.close((err) => {
+    t.equal(err.name, 'AbortError')
+    const nodes = app.closeToJSON().nodes
+    t.same(nodes.map(({ label }) => label), ['stuck (root)', 'last (root)'])
+    t.equal(nodes[0].status, 'failed')
+    t.equal(nodes[1].status, 'skipped')
+  }, controller.signal)
+})
+
+test('close with an already aborted signal', (t) => {
+  t.plan(1)
+
+  const server = {}
+  boot(server)
+
+  server.onClose(function never (instance, done) {
+    t.fail('should be skipped')
+    done()
+  })
+
+  server.close(AbortSignal.abort()).catch((err) => {
+    t.equal(err.name, 'AbortError')
+  })
+})
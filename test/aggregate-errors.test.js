@@ -0,0 +1,195 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('every error raised while booting is aggregated', (t) => {
+  t.plan(7)
+
+  const app = boot({}, { aggregateErrors: true })
+  const dbErr = new Error('db unavailable')
+  const afterErr = new Error('after failed')
+  const preReadyErr = new Error('preReady failed')
+
+  app.use(function api (s, opts, done) {
+    s.use(function db (s, opts, done) {
+      done(dbErr)
+    })
+    s.after((err, done) => {
+      t.equal(err, dbErr)
+      done(afterErr)
+    })
+    done()
+  })
+
+  app.on('preReady', () => {
+    throw preReadyErr
+  })
+
+  app.ready((err) => {
+    t.ok(err instanceof AggregateError)
+    t.equal(err.code, 'AVV_ERR_AGGREGATE')
+    t.equal(err.message, 'The boot raised 3 error(s)')
+    t.same(err.errors, [dbErr, afterErr, preReadyErr])
+    t.same(err.errors.map(({ phase }) => phase), ['plugin', 'after', 'preReady'])
+    t.same(err.errors.map(({ pluginPath }) => pluginPath), [
+      ['root', 'api', 'db'],
+      ['root', 'api'],
+      []
+    ])
+  })
+})
+
+test('the errors of plugins loading concurrently are aggregated', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { aggregateErrors: true, concurrency: 2 })
+
+  app.use(function db (s, opts, done) {
+    setTimeout(done, 10, new Error('db unavailable'))
+  })
+  app.use(function cache (s, opts, done) {
+    setTimeout(done, 5, new Error('cache unavailable'))
+  })
+
+  app.ready().catch((err) => {
+    t.same(err.errors.map(({ message }) => message), ['cache unavailable', 'db unavailable'])
+    t.same(err.errors.map(({ pluginPath }) => pluginPath), [['root', 'cache'], ['root', 'db']])
+  })
+})
+
+test('the errors of sibling plugins loaded one after another are aggregated', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { aggregateErrors: true })
+  const order = []
+
+  app.use(function a (s, opts, done) {
+    s.use(function never (s, opts, done) {
+      t.fail('should not be loaded')
+      done()
+    })
+    done(new Error('a'))
+  })
+  app.use(function b (s, opts, done) {
+    order.push('b')
+    done(new Error('b'))
+  })
+  app.use(function c (s, opts, done) {
+    order.push('c')
+    done()
+  })
+
+  app.ready((err) => {
+    t.same(err.errors.map(({ message }) => message), ['a', 'b'])
+    t.same(order, ['b', 'c'])
+    t.same(app.toJSON().nodes.map(({ status }) => status), ['failed', 'failed', 'loaded'])
+  })
+})
+
+test('an error passed through by the after callbacks is aggregated once', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { aggregateErrors: true })
+  const dbErr = new Error('db unavailable')
+
+  app.use(function db (s, opts, done) {
+    done(dbErr)
+  })
+  app.after((err, done) => done(err))
+  app.after((err, done) => done(err))
+
+  app.ready((err) => {
+    t.same(err.errors, [dbErr])
+    t.equal(dbErr.phase, 'plugin')
+  })
+})
+
+test('the errors recovered by an onError handler are not aggregated', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { aggregateErrors: true })
+
+  app.use(function analytics (s, opts, done) {
+    done(new Error('analytics unavailable'))
+  }, { onError () {} })
+  app.use(function db (s, opts, done) {
+    done(new Error('db unavailable'))
+  })
+
+  app.ready((err) => {
+    t.same(err.errors.map(({ message }) => message), ['db unavailable'])
+  })
+})
+
+test('the boot deadline is aggregated', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { aggregateErrors: true, bootDeadline: 10 })
+
+  app.use(function stuck (s, opts, done) {
+    setTimeout(done, 30)
+  })
+
+  app.ready((err) => {
+    t.same(err.errors.map(({ code }) => code), ['AVV_ERR_BOOT_DEADLINE'])
+    t.equal(err.errors[0].phase, 'boot')
+  })
+})
+
+test('a successful boot is not failed', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { aggregateErrors: true })
+
+  app.use(function db (s, opts, done) {
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('every error raised while closing is aggregated', (t) => {
+  t.plan(4)
+
+  const app = boot({}, { aggregateErrors: true })
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      done(new Error('cannot close the pool'))
+    })
+    done()
+  })
+  app.onClose(async function flush () {
+    throw new Error('cannot flush')
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    app.close((err) => {
+      t.equal(err.message, 'The close raised 2 error(s)')
+      t.same(err.errors.map(({ message }) => message), ['cannot close the pool', 'cannot flush'])
+      t.same(err.errors.map(({ phase, pluginPath }) => [phase, pluginPath]), [
+        ['onClose', ['root', 'db']],
+        ['onClose', ['root']]
+      ])
+    })
+  })
+})
+
+test('only the last error is kept without aggregateErrors', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function db (s, opts, done) {
+    done(new Error('db unavailable'))
+  })
+  app.after((err, done) => done(new Error('after failed', { cause: err })))
+
+  app.ready((err) => {
+    t.equal(err.message, 'after failed')
+  })
+})
@@ -0,0 +1,113 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+function block (ms) {
+  const end = Date.now() + ms
+  while (Date.now() < end) {
+    // busy wait
+  }
+}
+
+test('a plugin blocking the event loop over the threshold is reported', (t) => {
+  t.plan(7)
+
+  const app = boot({}, { blockingThreshold: 20 })
+
+  app.on('blocking', ({ name, id, duration }) => {
+    t.equal(name, 'compileSchemas')
+    t.equal(id, 'root/compileSchemas/0')
+    t.ok(duration >= 30)
+  })
+
+  app.use(function compileSchemas (s, opts, done) {
+    block(30)
+    done()
+  })
+  app.use(function fast (s, opts, done) {
+    setTimeout(done, 30)
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    const [compileSchemas, fast] = app.toJSON().nodes
+    t.ok(compileSchemas.blocked >= 30)
+    t.equal(fast.blocked, null)
+    t.match(app.prettyPrint(), /compileSchemas \d+ ms \(blocked \d+ ms\)/)
+  })
+})
+
+test('the synchronous part of async plugins is measured', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { blockingThreshold: 20 })
+
+  app.use(async function readFiles () {
+    block(30)
+    await new Promise((resolve) => setTimeout(resolve, 5))
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.ok(app.toJSON().nodes[0].blocked >= 30)
+  })
+})
+
+test('blocking after an await is reported', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { blockingThreshold: 20 })
+
+  app.on('blocking', ({ name }) => {
+    t.equal(name, 'readFiles')
+  })
+
+  app.use(async function readFiles () {
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    block(30)
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.ok(app.toJSON().nodes[0].blocked >= 20)
+  })
+})
+
+test('blocking in a callback is reported', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { blockingThreshold: 20 })
+
+  app.use(function loadSchemas (s, opts, done) {
+    setTimeout(() => {
+      block(30)
+      done()
+    }, 5)
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.ok(app.toJSON().nodes[0].blocked >= 20)
+  })
+})
+
+test('blocking is not reported by default', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.on('blocking', () => {
+    t.fail('no blocking event is emitted')
+  })
+
+  app.use(function compileSchemas (s, opts, done) {
+    block(10)
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.equal(app.toJSON().nodes[0].blocked, null)
+  })
+})
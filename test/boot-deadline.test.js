@@ -0,0 +1,87 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+function slow (delay) {
+  return function slow (s, opts, done) {
+    setTimeout(done, delay)
+  }
+}
+
+test('boot fails when it does not complete within the deadline', (t) => {
+  t.plan(5)
+
+  const app = boot({}, { bootDeadline: 50 })
+
+  app.use(function first (s, opts, done) {
+    s.use(slow(10))
+    s.use(slow(10))
+    done()
+  })
+  app.use(function second (s, opts, done) {
+    s.use(function stuck (s, opts, done) {
+      setTimeout(done, 200)
+    })
+    done()
+  })
+  app.use(function never (s, opts, done) {
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_BOOT_DEADLINE')
+    t.equal(err.message, 'Boot did not complete within its deadline of 50 ms')
+    t.same(err.snapshot, {
+      done: ['root/first/0', 'root/first/0/slow/0', 'root/first/0/slow/1'],
+      inFlight: ['root', 'root/second/0', 'root/second/0/stuck/0']
+    })
+    t.same(err.diagnostics.stack.map(({ name }) => name), ['root', 'second', 'stuck'])
+    t.equal(app.booted, false)
+  })
+})
+
+test('a chain of after callbacks is bound by the deadline', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { bootDeadline: 50 })
+
+  for (let i = 0; i < 5; i++) {
+    app.after((err, done) => {
+      setTimeout(done, 20, err)
+    })
+  }
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_BOOT_DEADLINE')
+  })
+})
+
+test('boot completing within the deadline is not failed', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { bootDeadline: 100 })
+
+  app.use(slow(10))
+
+  app.ready((err) => {
+    t.error(err)
+    setTimeout(() => {
+      t.equal(app.booted, true)
+    }, 120)
+  })
+})
+
+test('the deadline starts when the boot starts', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { bootDeadline: 30, autostart: false })
+
+  app.use(slow(10))
+
+  setTimeout(() => {
+    app.ready((err) => {
+      t.error(err)
+    })
+  }, 50)
+})
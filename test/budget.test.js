@@ -0,0 +1,162 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+const message = (name, budget) => new RegExp(`^Plugin '${name}' took \\d+ ms to load, exceeding its budget of ${budget} ms$`)
+
+function slow (delay) {
+  return function slow (s, opts, done) {
+    setTimeout(done, delay)
+  }
+}
+
+test('a plugin exceeding a soft budget emits a warning', (t) => {
+  t.plan(4)
+
+  const app = boot({}, { budget: { perPlugin: 10 } })
+
+  app.on('warning', (warning) => {
+    t.equal(warning.code, 'AVV_ERR_BUDGET_EXCEEDED')
+    t.match(warning.message, message('slow', 10))
+  })
+
+  app.use(slow(30))
+  app.use(function fast (s, opts, done) {
+    t.pass('the next plugin is loaded')
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('a plugin exceeding a hard budget fails boot', (t) => {
+  t.plan(5)
+
+  const app = boot({}, { budget: { perPlugin: 10, hard: true } })
+
+  app.on('warning', () => {
+    t.fail('no warning is emitted')
+  })
+
+  app.use(slow(30))
+  app.use(function next (s, opts, done) {
+    t.fail('the next plugin is not loaded')
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_BUDGET_EXCEEDED')
+    t.match(err.message, message('slow', 10))
+    const [node] = app.toJSON().nodes
+    t.equal(node.status, 'failed')
+    t.equal(node.error.code, 'AVV_ERR_BUDGET_EXCEEDED')
+    t.match(app.prettyPrint(), /slow \d+ ms \[failed\] AVV_ERR_BUDGET_EXCEEDED/)
+  })
+})
+
+test('the budget of a plugin can be set in its options', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { budget: { perPlugin: 10, hard: true } })
+
+  app.use(slow(30), { budget: 1000 })
+  app.use(function strict (s, opts, done) {
+    setTimeout(done, 30)
+  }, () => ({ budget: 5 }))
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_BUDGET_EXCEEDED')
+    t.match(err.message, message('strict', 5))
+  })
+})
+
+test('the per plugin budget does not include the nested plugins', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { budget: { perPlugin: 40, hard: true } })
+
+  app.use(function parent (s, opts, done) {
+    s.use(slow(25))
+    s.use(slow(25))
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.ok(app.toJSON().nodes[0].diff >= 40)
+  })
+})
+
+test('a boot exceeding a soft total budget emits a warning', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { budget: { total: 20 } })
+
+  app.on('warning', (warning) => {
+    t.equal(warning.code, 'AVV_ERR_BUDGET_EXCEEDED')
+    t.match(warning.message, message('root', 20))
+  })
+
+  app.use(slow(15))
+  app.use(slow(15))
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('a boot exceeding a hard total budget fails', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { budget: { total: 20, hard: true } })
+
+  app.use(slow(15))
+  app.use(slow(15))
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_BUDGET_EXCEEDED')
+    t.match(err.message, message('root', 20))
+  })
+})
+
+test('plugins within their budget do not emit warnings', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { budget: { total: 1000, perPlugin: 500 } })
+
+  app.on('warning', () => {
+    t.fail('no warning is emitted')
+  })
+
+  app.use(slow(5))
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('a soft total budget can be combined with hard per plugin budgets', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { budget: { total: 10, perPlugin: { ms: 10, hard: true } } })
+  const warnings = []
+
+  app.on('warning', (warning) => {
+    warnings.push(warning.message.split("'")[1])
+  })
+
+  app.use(function parent (s, opts, done) {
+    s.use(slow(15), { budget: { ms: 10, hard: false } })
+    done()
+  })
+  app.use(slow(30))
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_BUDGET_EXCEEDED')
+    t.same(app.toJSON().nodes.map(({ status }) => status), ['loaded', 'failed'])
+    t.same(warnings, ['slow', 'root'])
+  })
+})
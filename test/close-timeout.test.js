@@ -0,0 +1,126 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+const message = (name) => `Close handler did not complete in time: '${name}'. You may have forgotten to call 'done' function or to resolve a Promise`
+
+test('onClose handler not calling done times out', (t) => {
+  t.plan(6)
+
+  const app = boot({}, {
+    closeTimeout: 10
+  })
+  const order = []
+
+  app.onClose(function last (context, done) {
+    order.push('last')
+    done()
+  })
+  app.onClose(function stuck (context, done) {
+    order.push('stuck')
+    // do not call done on purpose
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    app.close((err) => {
+      t.ok(err)
+      t.equal(err.code, 'AVV_ERR_CLOSE_TIMEOUT')
+      t.equal(err.message, message('stuck'))
+      t.equal(err.fn.name, 'stuck')
+      t.same(order, ['stuck', 'last'])
+    })
+  })
+})
+
+test('onClose handler not resolving its promise times out', (t) => {
+  t.plan(3)
+
+  const app = boot({}, {
+    closeTimeout: 10
+  })
+
+  app.onClose(function stuck (context) {
+    return new Promise(function (resolve) {
+      // do not call resolve on purpose
+    })
+  })
+
+  app.close((err) => {
+    t.ok(err)
+    t.equal(err.code, 'AVV_ERR_CLOSE_TIMEOUT')
+    t.equal(err.message, message('stuck'))
+  })
+})
+
+test('onClose handler completing in time does not time out', (t) => {
+  t.plan(2)
+
+  const app = boot({}, {
+    closeTimeout: 50
+  })
+
+  app.onClose(function slow (context, done) {
+    t.pass('called')
+    setTimeout(done, 5)
+  })
+
+  app.close((err) => {
+    t.error(err)
+  })
+})
+
+test('a timed out handler calling done later is ignored', (t) => {
+  t.plan(2)
+
+  const app = boot({}, {
+    closeTimeout: 10
+  })
+
+  app.onClose(function late (context, done) {
+    setTimeout(done, 30)
+  })
+
+  app.close((err) => {
+    t.equal(err.code, 'AVV_ERR_CLOSE_TIMEOUT')
+    setTimeout(() => t.pass('done called after the timeout did not throw'), 40)
+  })
+})
+
+test('the name of onClose handlers registered on the server is kept', (t) => {
+  t.plan(2)
+
+  const server = {}
+  boot(server, {
+    closeTimeout: 10
+  })
+
+  server.use(function (s, opts, done) {
+    s.onClose(function closeDatabase (instance, done) {
+      // do not call done on purpose
+    })
+    done()
+  })
+
+  server.close().catch((err) => {
+    t.equal(err.code, 'AVV_ERR_CLOSE_TIMEOUT')
+    t.equal(err.message, message('closeDatabase'))
+  })
+})
+
+test('anonymous close handlers are named in the error', (t) => {
+  t.plan(1)
+
+  const app = boot({}, {
+    closeTimeout: 10
+  })
+
+  app.onClose((context, done) => {
+    // do not call done on purpose
+  })
+
+  app.close((err) => {
+    t.equal(err.message, message('anonymous'))
+  })
+})
@@ -0,0 +1,99 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('close to json', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      setTimeout(done, 10)
+    })
+    done()
+  })
+  app.use(function cache (s, opts, done) {
+    s.onClose(async function flush () {})
+    done()
+  })
+  app.onClose(() => {})
+
+  app.on('close', () => {
+    t.match(app.closeToJSON(), {
+      id: 'root',
+      label: 'close',
+      start: /\d+/,
+      stop: /\d+/,
+      diff: /\d+/,
+      nodes: [
+        { id: 'root/flush (cache)/0', parent: 'root', label: 'flush (cache)', start: /\d+/, stop: /\d+/, diff: /\d+/, nodes: [] },
+        { id: 'root/closePool (db)/0', parent: 'root', label: 'closePool (db)', start: /\d+/, stop: /\d+/, diff: /\d+/, nodes: [] },
+        { id: 'root/anonymous (root)/0', parent: 'root', label: 'anonymous (root)', start: /\d+/, stop: /\d+/, diff: /\d+/, nodes: [] }
+      ]
+    })
+  })
+
+  app.ready(() => { app.close() })
+})
+
+test('close to json is empty before closing', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.onClose(() => {})
+
+  app.ready(() => {
+    t.same(app.closeToJSON(), {})
+    t.equal(app.closePrettyPrint(), '')
+  })
+})
+
+test('close pretty print', (t) => {
+  t.plan(4)
+
+  const app = boot()
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      setTimeout(done, 10)
+    })
+    done()
+  })
+  app.onClose(function last (instance, done) {
+    done()
+  })
+
+  const linesExpected = [
+    /^close \d+ ms$/,
+    /^├── closePool \(db\) \d+ ms$/,
+    /^└── last \(root\) \d+ ms$/,
+    ''
+  ]
+
+  app.close(() => {
+    const lines = app.closePrettyPrint().split('\n')
+    lines.forEach((l, i) => {
+      t.match(l, linesExpected[i])
+    })
+  })
+})
+
+test('close tree tracks timed out handlers', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { closeTimeout: 10 })
+
+  app.onClose(function stuck (instance, done) {
+    // do not call done on purpose
+  })
+
+  app.close((err) => {
+    t.equal(err.code, 'AVV_ERR_CLOSE_TIMEOUT')
+    const [node] = app.closeToJSON().nodes
+    t.equal(node.label, 'stuck (root)')
+    t.ok(node.diff >= 9)
+  })
+})
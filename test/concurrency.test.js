@@ -0,0 +1,211 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+const { kPluginMeta } = require('../lib/symbols')
+
+function createPlugin (name, events, delay = 20) {
+  return function plugin (s, opts, done) {
+    events.push(`${name} start`)
+    setTimeout(() => {
+      events.push(`${name} end`)
+      done()
+    }, delay)
+  }
+}
+
+test('siblings are loaded one at a time by default', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const events = []
+
+  app.use(createPlugin('a', events))
+  app.use(createPlugin('b', events))
+
+  await app.ready()
+  t.same(events, ['a start', 'a end', 'b start', 'b end'])
+})
+
+test('siblings are loaded concurrently with the concurrency option', async (t) => {
+  t.plan(1)
+
+  const app = boot({}, { concurrency: 2 })
+  const events = []
+
+  app.use(createPlugin('a', events, 50))
+  app.use(createPlugin('b', events, 10))
+  app.use(createPlugin('c', events, 10))
+
+  await app.ready()
+  t.same(events, ['a start', 'b start', 'b end', 'c start', 'c end', 'a end'])
+})
+
+test('after waits for the previous siblings and blocks the following ones', async (t) => {
+  t.plan(1)
+
+  const app = boot({}, { concurrency: 3 })
+  const events = []
+
+  app.use(createPlugin('a', events, 50))
+  app.use(createPlugin('b', events, 10))
+  app.after((err, done) => {
+    events.push('after')
+    done(err)
+  })
+  app.use(createPlugin('c', events, 10))
+  app.use(createPlugin('d', events, 10))
+
+  await app.ready()
+  t.same(events, [
+    'a start', 'b start', 'b end', 'a end',
+    'after',
+    'c start', 'd start', 'c end', 'd end'
+  ])
+})
+
+test('concurrency can be set for the nested plugins of a single plugin', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const events = []
+
+  app.use(function parent (s, opts, done) {
+    s.use(createPlugin('a', events, 50))
+    s.use(createPlugin('b', events, 10))
+    done()
+  }, { concurrency: 2 })
+  app.use(createPlugin('c', events, 10))
+  app.use(createPlugin('d', events, 10))
+
+  await app.ready()
+  t.same(events, [
+    'a start', 'b start', 'b end', 'a end',
+    'c start', 'c end', 'd start', 'd end'
+  ])
+})
+
+test('concurrency can be set with options returned by a function', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const events = []
+
+  app.use(function parent (s, opts, done) {
+    s.use(createPlugin('a', events, 50))
+    s.use(createPlugin('b', events, 10))
+    done()
+  }, () => ({ concurrency: 2 }))
+
+  await app.ready()
+  t.same(events, ['a start', 'b start', 'b end', 'a end'])
+})
+
+test('nested plugins registered after an await keep their parent', async (t) => {
+  t.plan(3)
+
+  const server = { count: 0 }
+  const app = boot(server, { concurrency: 2 })
+
+  app.override = function (s) {
+    const res = Object.create(s)
+    res.count = res.count + 1
+    return res
+  }
+
+  app.use(async function first (s) {
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    s.use(function firstChild (s2, opts, done) {
+      t.equal(s2.count, 2)
+      done()
+    })
+  })
+  app.use(async function second (s) {
+    await new Promise((resolve) => setTimeout(resolve, 10))
+    await s.use(function secondChild (s2, opts, done) {
+      t.equal(s2.count, 2)
+      done()
+    })
+  })
+
+  await app.ready()
+  t.match(app.toJSON(), {
+    label: 'root',
+    nodes: [
+      { label: 'first', nodes: [{ label: 'firstChild' }] },
+      { label: 'second', nodes: [{ label: 'secondChild' }] }
+    ]
+  })
+})
+
+test('dependencies loading concurrently are awaited', async (t) => {
+  t.plan(1)
+
+  const app = boot({}, { concurrency: 2 })
+  const events = []
+
+  const api = createPlugin('api', events, 10)
+  api[kPluginMeta] = { name: 'api', dependencies: ['db'] }
+  const db = createPlugin('db', events, 20)
+  db[kPluginMeta] = { name: 'db' }
+
+  app.use(db)
+  app.use(api)
+
+  await app.ready()
+  t.same(events, ['db start', 'db end', 'api start', 'api end'])
+})
+
+test('circular dependencies loading concurrently fail boot', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { concurrency: 2 })
+  const events = []
+
+  const a = createPlugin('a', events)
+  a[kPluginMeta] = { name: 'a', dependencies: ['b'] }
+  const b = createPlugin('b', events)
+  b[kPluginMeta] = { name: 'b', dependencies: ['a'] }
+
+  app.use(a)
+  app.use(b)
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_DEPENDENCY_MISSING')
+  })
+})
+
+test('an error in a concurrent sibling fails boot', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { concurrency: 2 })
+  const events = []
+
+  app.use(function broken (s, opts, done) {
+    setTimeout(done, 5, new Error('kaboom'))
+  })
+  app.use(createPlugin('a', events))
+  app.use(createPlugin('b', events))
+
+  app.ready((err) => {
+    t.equal(err.message, 'kaboom')
+    t.same(events, ['a start', 'a end'])
+  })
+})
+
+test('the async context of the plugins is only tracked with concurrency', async (t) => {
+  t.plan(2)
+
+  const stores = []
+  for (const concurrency of [1, 2]) {
+    const app = boot({}, { concurrency })
+    app.use(function plugin (s, opts, done) {
+      stores.push(app._pluginStorage.getStore()?.name)
+      done()
+    })
+    await app.ready()
+  }
+
+  t.equal(stores[0], undefined)
+  t.equal(stores[1], 'plugin')
+})
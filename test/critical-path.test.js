@@ -0,0 +1,52 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('critical path follows the slowest plugins', async (t) => {
+  t.plan(4)
+
+  const app = boot()
+
+  app.use(function fast (s, opts, done) {
+    done()
+  })
+  app.use(function parent (s, opts, done) {
+    s.use(function slowChild (s, opts, done) {
+      setTimeout(done, 30)
+    })
+    s.use(function fastChild (s, opts, done) {
+      done()
+    })
+    done()
+  })
+
+  await app.ready()
+  const path = app.criticalPath()
+
+  t.same(path.map(({ label }) => label), ['root', 'parent', 'slowChild'])
+  const [, parent, slowChild] = path
+  t.ok(parent.diff >= slowChild.diff)
+  t.ok(parent.self < slowChild.diff, 'the time of the children is not part of the self time')
+  t.ok(slowChild.self >= 25)
+})
+
+test('pretty print with the self time', async (t) => {
+  t.plan(3)
+
+  const app = boot()
+
+  app.use(function parent (s, opts, done) {
+    s.use(function child (s, opts, done) {
+      setTimeout(done, 10)
+    })
+    done()
+  })
+
+  await app.ready()
+  const lines = app.prettyPrint({ self: true }).split('\n')
+
+  t.match(lines[0], /^root \d+ ms \(self \d+ ms\)$/)
+  t.match(lines[1], /^└─┬ parent \d+ ms \(self \d+ ms\)$/)
+  t.match(lines[2], /^ {2}└── child \d+ ms \(self \d+ ms\)$/)
+})
@@ -0,0 +1,137 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+const { kPluginMeta } = require('../lib/symbols')
+
+test('diagnose reports the loading state of a stalled boot', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function first (s, opts, done) {
+    s.use(function stuck (s, opts, done) {
+      // do not call done on purpose
+    })
+    s.after(function afterStuck (err, done) {
+      done(err)
+    })
+    s.use(function never (s, opts, done) {
+      done()
+    })
+    done()
+  })
+  app.use(function second (s, opts, done) {
+    done()
+  })
+  app.ready(function onReady () {})
+
+  setTimeout(() => {
+    t.same(app.diagnose(), {
+      started: true,
+      booted: false,
+      stack: [
+        {
+          name: 'root',
+          id: 'root',
+          isAfter: false,
+          queue: { length: 1, running: 1 },
+          loading: [{ name: 'first', isAfter: false, waitingFor: null }],
+          pending: [{ name: 'second', isAfter: false, waitingFor: null }],
+          waitingFor: null
+        },
+        {
+          name: 'first',
+          id: 'root/first/0',
+          isAfter: false,
+          queue: { length: 2, running: 1 },
+          loading: [{ name: 'stuck', isAfter: false, waitingFor: null }],
+          pending: [{ name: 'bound _after', isAfter: true, waitingFor: null }, { name: 'never', isAfter: false, waitingFor: null }],
+          waitingFor: null
+        },
+        {
+          name: 'stuck',
+          id: 'root/first/0/stuck/0',
+          isAfter: false,
+          queue: { length: 0, running: 0 },
+          loading: [],
+          pending: [],
+          waitingFor: null
+        }
+      ],
+      ready: ['onReady']
+    })
+  }, 20)
+})
+
+test('diagnose reports an empty stack once booted', (t) => {
+  t.plan(1)
+
+  const app = boot()
+  app.use(function first (s, opts, done) { done() })
+
+  app.ready(() => {
+    t.same(app.diagnose(), { started: true, booted: true, stack: [], ready: [] })
+  })
+})
+
+test('diagnose reports the dependency a plugin waits for', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { concurrency: 2 })
+
+  function db (s, opts, done) {
+    // do not call done on purpose
+  }
+  db[kPluginMeta] = { name: 'db' }
+  function api (s, opts, done) {
+    done()
+  }
+  api[kPluginMeta] = { name: 'api', dependencies: ['db'] }
+
+  app.use(db)
+  app.use(api)
+  app.ready(() => {})
+
+  setTimeout(() => {
+    const [root] = app.diagnose().stack
+    t.same(root.loading, [
+      { name: 'db', isAfter: false, waitingFor: null },
+      { name: 'api', isAfter: false, waitingFor: 'db' }
+    ])
+  }, 20)
+})
+
+test('the diagnostics are attached to plugin timeout errors', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { timeout: 20 })
+
+  app.use(function first (s, opts, done) {
+    s.use(function stuck (s, opts, done) {
+      // do not call done on purpose
+    })
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.same(err.diagnostics.stack.map(({ name }) => name), ['root', 'first', 'stuck'])
+    t.same(err.diagnostics.ready, ['anonymous'])
+  })
+})
+
+test('the diagnostics are attached to ready timeout errors', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { timeout: 20 })
+
+  app.ready(function stuck (err, done) {
+    t.error(err)
+    // do not call done on purpose
+  })
+  app.ready(function next (err) {
+    t.equal(err.code, 'AVV_ERR_READY_TIMEOUT')
+    t.same(err.diagnostics, { started: true, booted: true, stack: [], ready: ['next'] })
+  })
+})
@@ -0,0 +1,161 @@
+'use strict'
+
+const { test } = require('tap')
+const dc = require('node:diagnostics_channel')
+const boot = require('..')
+
+function subscribe (t, names, events) {
+  for (const name of names) {
+    const listener = (message) => events.push([name, message])
+    dc.channel(name).subscribe(listener)
+    t.teardown(() => dc.channel(name).unsubscribe(listener))
+  }
+}
+
+function tracing (name) {
+  return ['start', 'end', 'error', 'asyncStart', 'asyncEnd'].map((event) => `tracing:${name}:${event}`)
+}
+
+test('the plugin lifecycle is published', (t) => {
+  t.plan(4)
+
+  const events = []
+  subscribe(t, ['avvio:plugin:enqueue', 'avvio:plugin:start', 'avvio:plugin:loaded', 'avvio:plugin:error'], events)
+
+  const app = boot()
+  function first (s, opts, done) {
+    done()
+  }
+  app.use(first)
+
+  app.ready((err) => {
+    t.error(err)
+    t.match(events, [
+      ['avvio:plugin:start', { name: 'root', parent: null }],
+      ['avvio:plugin:enqueue', { name: 'first', func: first, parent: 'root', error: null }],
+      ['avvio:plugin:start', { name: 'first', func: first, parent: 'root' }],
+      ['avvio:plugin:loaded', { name: 'first', func: first, parent: 'root', error: null }],
+      ['avvio:plugin:loaded', { name: 'root', parent: null }]
+    ])
+    // the same message is published for every event of a plugin
+    t.equal(events[1][1], events[3][1])
+    t.equal(events[3][1].id, app.toJSON().nodes[0].id)
+  })
+})
+
+test('the plugins not started are published as skipped', (t) => {
+  t.plan(2)
+
+  const events = []
+  subscribe(t, ['avvio:plugin:start', 'avvio:plugin:loaded', 'avvio:plugin:skipped', 'avvio:plugin:error'], events)
+
+  const app = boot()
+  const kaboom = new Error('kaboom')
+  app.use(function broken (s, opts, done) {
+    done(kaboom)
+  })
+  app.use(function next (s, opts, done) {
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err, kaboom)
+    t.match(events, [
+      ['avvio:plugin:start', { name: 'root' }],
+      ['avvio:plugin:start', { name: 'broken' }],
+      ['avvio:plugin:error', { name: 'broken', error: kaboom }],
+      ['avvio:plugin:skipped', { name: 'next', id: String, error: null }]
+    ])
+  })
+})
+
+test('plugin errors and timeouts are published', (t) => {
+  t.plan(2)
+
+  const events = []
+  subscribe(t, ['avvio:plugin:error', 'avvio:plugin:timeout'], events)
+
+  const app = boot({}, { timeout: 10 })
+  app.use(function stuck (s, opts, done) {
+    // do not call done on purpose
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.match(events, [
+      ['avvio:plugin:timeout', { name: 'stuck', error: err }],
+      ['avvio:plugin:error', { name: 'stuck', error: err }]
+    ])
+  })
+})
+
+test('after and ready callbacks are traced', (t) => {
+  t.plan(3)
+
+  const events = []
+  subscribe(t, [...tracing('avvio:after'), ...tracing('avvio:ready')], events)
+
+  const app = boot()
+  const kaboom = new Error('kaboom')
+  app.after(function broken (err, done) {
+    done(err || kaboom)
+  })
+
+  app.ready(function onReady (err, done) {
+    t.equal(err, kaboom)
+    done()
+    process.nextTick(() => {
+      t.same(events.map(([name]) => name), [
+        'tracing:avvio:after:start',
+        'tracing:avvio:after:error',
+        'tracing:avvio:after:asyncStart',
+        'tracing:avvio:after:asyncEnd',
+        'tracing:avvio:after:end',
+        'tracing:avvio:ready:start',
+        'tracing:avvio:ready:asyncStart',
+        'tracing:avvio:ready:asyncEnd',
+        'tracing:avvio:ready:end'
+      ])
+      t.match(events.map(([, message]) => message), [
+        { name: 'broken', error: kaboom },
+        { name: 'broken', error: kaboom },
+        { name: 'broken', error: kaboom },
+        { name: 'broken', error: kaboom },
+        { name: 'broken', error: kaboom },
+        { name: 'onReady', error: null },
+        { name: 'onReady', error: null },
+        { name: 'onReady', error: null },
+        { name: 'onReady', error: null }
+      ])
+    })
+  })
+})
+
+test('onClose and close callbacks are traced', (t) => {
+  t.plan(2)
+
+  const events = []
+  subscribe(t, [...tracing('avvio:onClose'), ...tracing('avvio:close')], events)
+
+  const app = boot()
+  app.onClose(function closeDatabase (instance, done) {
+    setTimeout(done, 5)
+  })
+
+  app.close(function onClosed (err) {
+    t.error(err)
+    setImmediate(() => {
+      // the queue runs the next handler within the callback of the previous one
+      t.same(events.map(([name, message]) => `${name} ${message.name}`), [
+        'tracing:avvio:onClose:start closeDatabase',
+        'tracing:avvio:onClose:end closeDatabase',
+        'tracing:avvio:onClose:asyncStart closeDatabase',
+        'tracing:avvio:close:start onClosed',
+        'tracing:avvio:close:end onClosed',
+        'tracing:avvio:onClose:asyncEnd closeDatabase',
+        'tracing:avvio:close:asyncStart onClosed',
+        'tracing:avvio:close:asyncEnd onClosed'
+      ])
+    })
+  })
+})
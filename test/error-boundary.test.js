@@ -0,0 +1,197 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+const { kPluginMeta } = require('../lib/symbols')
+
+test('an onError handler recovers from the errors of the subtree', (t) => {
+  t.plan(5)
+
+  const app = boot()
+  const order = []
+  const analyticsErr = new Error('analytics unavailable')
+
+  app.use(function analytics (s, opts, done) {
+    s.use(function client (s, opts, done) {
+      done(analyticsErr)
+    })
+    s.use(function never (s, opts, done) {
+      t.fail('should be skipped')
+      done()
+    })
+    done()
+  }, {
+    onError (err) {
+      t.equal(err, analyticsErr)
+    }
+  })
+  app.use(function api (s, opts, done) {
+    order.push('api')
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(order, ['api'])
+    const [analytics, api] = app.toJSON().nodes
+    t.same(analytics.nodes.map(({ status }) => status), ['failed', 'skipped'])
+    t.same([analytics.status, api.status], ['failed', 'loaded'])
+  })
+})
+
+test('an onError handler recovers from the error of its own plugin', (t) => {
+  t.plan(3)
+
+  const app = boot()
+
+  app.use(async function flags () {
+    throw new Error('flags unavailable')
+  }, {
+    onError (err) {
+      t.equal(err.message, 'flags unavailable')
+    }
+  })
+  app.use(function api (s, opts, done) {
+    t.pass('loaded')
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('an onError handler rethrowing fails the boot', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.use(function analytics (s, opts, done) {
+    s.use(function client (s, opts, done) {
+      done(new Error('analytics unavailable'))
+    })
+    done()
+  }, {
+    onError (err) {
+      throw new Error('cannot start without analytics', { cause: err })
+    }
+  })
+  app.use(function never (s, opts, done) {
+    t.fail('should be skipped')
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.message, 'cannot start without analytics')
+    t.equal(err.cause.message, 'analytics unavailable')
+  })
+})
+
+test('the error rethrown by a nested onError handler reaches the outer one', (t) => {
+  t.plan(3)
+
+  const app = boot()
+
+  app.use(function outer (s, opts, done) {
+    s.use(function inner (s, opts, done) {
+      s.use(function failing (s, opts, done) {
+        done(new Error('kaboom'))
+      })
+      done()
+    }, {
+      onError (err) {
+        t.equal(err.message, 'kaboom')
+        throw err
+      }
+    })
+    done()
+  }, {
+    onError (err) {
+      t.equal(err.message, 'kaboom')
+    }
+  })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('an error handled by an after of the subtree is not handed to onError', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.use(function analytics (s, opts, done) {
+    s.use(function client (s, opts, done) {
+      done(new Error('analytics unavailable'))
+    })
+    s.after((err, done) => {
+      t.equal(err.message, 'analytics unavailable')
+      done()
+    })
+    done()
+  }, {
+    onError () {
+      t.fail('should not be called')
+    }
+  })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('a plugin recovered by onError does not satisfy the dependencies on it', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  function analytics (s, opts, done) {
+    done(new Error('analytics unavailable'))
+  }
+  analytics[kPluginMeta] = { name: 'analytics' }
+
+  function dashboard (s, opts, done) {
+    t.fail('should not be loaded')
+    done()
+  }
+  dashboard[kPluginMeta] = { name: 'dashboard', dependencies: ['analytics'] }
+
+  app.use(analytics, { onError () {} })
+  app.use(dashboard)
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_DEPENDENCY_MISSING')
+  })
+})
+
+test('an error caught by onError does not skip the siblings loading concurrently', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { concurrency: 2 })
+  const loaded = []
+
+  app.use(function analytics (s, opts, done) {
+    s.use(function slowChild (s, opts, done) {
+      setTimeout(done, 50)
+    })
+    s.use(async function inner () {
+      throw new Error('analytics unavailable')
+    })
+    done()
+  }, { concurrency: 2, onError () {} })
+  app.use(function b (s, opts, done) {
+    loaded.push('b')
+    setTimeout(done, 10)
+  })
+  app.use(function c (s, opts, done) {
+    loaded.push('c')
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(loaded, ['b', 'c'])
+    t.same(app.toJSON().nodes.map(({ label, status }) => `${label} ${status}`), ['analytics failed', 'b loaded', 'c loaded'])
+  })
+})
@@ -0,0 +1,159 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+// the line following the call, where the plugin is registered
+function nextLine () {
+  const frame = new Error().stack.split('\n')[2]
+  return Number(/:(\d+):\d+\)?$/.exec(frame)[1]) + 1
+}
+
+test('the error of a plugin is wrapped with its path and the location of its registration', (t) => {
+  t.plan(5)
+
+  const app = boot({}, { wrapErrors: true })
+  const jwtErr = new Error('invalid secret')
+  let line
+
+  app.use(function api (s, opts, done) {
+    s.use(function auth (s, opts, done) {
+      line = nextLine()
+      s.use(function (s, opts, done) {
+        done(jwtErr)
+      }, { name: 'jwt' })
+      done()
+    })
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_FAILED')
+    t.equal(err.message, "Plugin 'root > api > auth > jwt' failed: invalid secret")
+    t.equal(err.cause, jwtErr)
+    t.same(err.pluginPath, ['root', 'api', 'auth', 'jwt'])
+    t.match(err.registeredAt, new RegExp(`^${__filename}:${line}:\\d+$`))
+  })
+})
+
+test('the timeout of a plugin is wrapped with its path', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { timeout: 10, wrapErrors: true })
+
+  app.use(function api (s, opts, done) {
+    s.use(function auth (s, opts, done) {
+      // do not call done on purpose
+    })
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.cause.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.same(err.pluginPath, ['root', 'api', 'auth'])
+    t.match(err.registeredAt, __filename)
+  })
+})
+
+test('the error of an after callback carries the location of the after call', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { wrapErrors: true })
+
+  app.use(function api (s, opts, done) {
+    done()
+  })
+  const line = nextLine()
+  app.after((err, done) => done(err || new Error('kaboom')))
+
+  app.ready((err) => {
+    t.equal(err.cause.message, 'kaboom')
+    t.match(err.registeredAt, new RegExp(`^${__filename}:${line}:\\d+$`))
+  })
+})
+
+test('an error passed through by the after callbacks is wrapped once', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { wrapErrors: true })
+  const dbErr = new Error('db unavailable')
+
+  app.use(function db (s, opts, done) {
+    done(dbErr)
+  })
+  app.after((err, done) => done(err))
+
+  app.ready((err) => {
+    t.equal(err.cause, dbErr)
+    t.same(err.pluginPath, ['root', 'db'])
+  })
+})
+
+test('the error handed to an onError handler is wrapped', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { wrapErrors: true })
+
+  app.use(async function flags () {
+    throw new Error('flags unavailable')
+  }, {
+    onError (err) {
+      t.same(err.pluginPath, ['root', 'flags'])
+      t.match(err.registeredAt, __filename)
+    }
+  })
+
+  app.ready()
+})
+
+test('frozen errors and thrown values are wrapped', (t) => {
+  t.plan(4)
+
+  const app = boot({}, { wrapErrors: true })
+  const frozenErr = Object.freeze(new Error('frozen'))
+
+  app.use(function frozen (s, opts, done) {
+    done(frozenErr)
+  })
+  app.after((err, done) => {
+    t.equal(err.cause, frozenErr)
+    done('kaboom')
+  })
+
+  app.ready((err) => {
+    t.equal(err.message, "Plugin 'root > bound _after' failed: kaboom")
+    t.equal(err.cause, 'kaboom')
+    t.ok(Object.isFrozen(frozenErr))
+  })
+})
+
+test('the files ignored when locating the registration are configurable', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { wrapErrors: true, ignoreFrames: [/error-location\.test\.js$/] })
+
+  app.use(function db (s, opts, done) {
+    done(new Error('db unavailable'))
+  })
+
+  app.ready((err) => {
+    t.notMatch(err.registeredAt, __filename)
+  })
+})
+
+test('the errors are neither wrapped nor annotated by default', (t) => {
+  t.plan(3)
+
+  const app = boot()
+  const dbErr = new Error('db unavailable')
+
+  app.use(function db (s, opts, done) {
+    done(dbErr)
+  })
+
+  app.ready((err) => {
+    t.equal(err, dbErr)
+    t.equal(err.pluginPath, undefined)
+    t.equal(err.registeredAt, undefined)
+  })
+})
@@ -12,7 +12,14 @@ test('Correct codes of AvvioErrors', t => {
     'AVV_ERR_ROOT_PLG_BOOTED',
     'AVV_ERR_PARENT_PLG_LOADED',
     'AVV_ERR_READY_TIMEOUT',
-    'AVV_ERR_PLUGIN_EXEC_TIMEOUT'
+    'AVV_ERR_PLUGIN_EXEC_TIMEOUT',
+    'AVV_ERR_PLUGIN_DEPENDENCY_MISSING',
+    'AVV_ERR_CLOSE_TIMEOUT',
+    'AVV_ERR_BUDGET_EXCEEDED',
+    'AVV_ERR_PLUGIN_FAILED',
+    'AVV_ERR_BOOT_DEADLINE',
+    'AVV_ERR_ABORTED',
+    'AVV_ERR_AGGREGATE'
   ]
 
   t.plan(testcases.length + 1)
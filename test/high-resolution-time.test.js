@@ -0,0 +1,67 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('timings are integers by default', async (t) => {
+  t.plan(3)
+
+  const app = boot()
+  app.use(function first (s, opts, done) {
+    done()
+  })
+
+  await app.ready()
+  const [node] = app.toJSON().nodes
+  t.ok(Number.isInteger(node.start))
+  t.ok(Number.isInteger(node.stop))
+  t.ok(Number.isInteger(node.diff))
+})
+
+test('timings are fractional with the highResolutionTime option', async (t) => {
+  t.plan(5)
+
+  const app = boot({}, { highResolutionTime: true })
+  app.use(function first (s, opts, done) {
+    setTimeout(done, 5)
+  })
+
+  await app.ready()
+  const json = app.toJSON()
+  const [node] = json.nodes
+  t.ok(node.start >= json.start)
+  t.ok(node.stop >= node.start)
+  t.ok(node.diff >= 4)
+  t.ok([node.start, node.stop, node.diff].some((time) => !Number.isInteger(time)))
+  t.ok(Math.abs(node.start - Date.now()) < 1000, 'timings are expressed since the epoch')
+})
+
+test('prettyPrint uses three decimals with the highResolutionTime option', async (t) => {
+  t.plan(3)
+
+  const app = boot({}, { highResolutionTime: true })
+  app.use(function first (s, opts, done) {
+    done()
+  })
+
+  await app.ready()
+  const lines = app.prettyPrint().split('\n')
+  t.match(lines[0], /^root \d+\.\d{3} ms$/)
+  t.match(lines[1], /^└── first \d+\.\d{3} ms$/)
+  t.match(app.prettyPrint({ precision: 1 }).split('\n')[1], /^└── first \d+\.\d ms$/)
+})
+
+test('close timings are fractional with the highResolutionTime option', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { highResolutionTime: true })
+  app.onClose(function slow (instance, done) {
+    setTimeout(done, 5)
+  })
+
+  app.close(() => {
+    const [node] = app.closeToJSON().nodes
+    t.ok(node.diff >= 4)
+    t.match(app.closePrettyPrint().split('\n')[1], /^└── slow \(root\) \d+\.\d{3} ms$/)
+  })
+})
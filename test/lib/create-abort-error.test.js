@@ -0,0 +1,27 @@
+'use strict'
+
+const { test } = require('tap')
+const { createAbortError } = require('../../lib/create-abort-error')
+
+test('createAbortError returns an AbortError', (t) => {
+  t.plan(4)
+
+  const controller = new AbortController()
+  controller.abort()
+  const err = createAbortError(controller.signal)
+
+  t.ok(err instanceof Error)
+  t.equal(err.name, 'AbortError')
+  t.equal(err.code, 'AVV_ERR_ABORTED')
+  t.equal(err.message, 'The operation was aborted')
+})
+
+test('createAbortError keeps the reason of the signal as cause', (t) => {
+  t.plan(1)
+
+  const controller = new AbortController()
+  const reason = new Error('rollout cancelled')
+  controller.abort(reason)
+
+  t.equal(createAbortError(controller.signal).cause, reason)
+})
@@ -0,0 +1,17 @@
+'use strict'
+
+const { test } = require('tap')
+const { createAggregateError } = require('../../lib/create-aggregate-error')
+
+test('createAggregateError returns an AggregateError', (t) => {
+  t.plan(5)
+
+  const errors = [new Error('kaboom'), new Error('kaboom again')]
+  const err = createAggregateError(errors, 'boot')
+
+  t.ok(err instanceof AggregateError)
+  t.equal(err.name, 'AggregateError')
+  t.equal(err.code, 'AVV_ERR_AGGREGATE')
+  t.equal(err.message, 'The boot raised 2 error(s)')
+  t.equal(err.errors, errors)
+})
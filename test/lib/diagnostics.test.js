@@ -0,0 +1,79 @@
+'use strict'
+
+const { test } = require('tap')
+const dc = require('node:diagnostics_channel')
+const { channels, traceWorker } = require('../../lib/diagnostics')
+
+function subscribe (t, name, events) {
+  for (const event of ['start', 'end', 'error', 'asyncStart', 'asyncEnd']) {
+    const channel = dc.channel(`tracing:${name}:${event}`)
+    const listener = (message) => events.push([event, message])
+    channel.subscribe(listener)
+    t.teardown(() => channel.unsubscribe(listener))
+  }
+}
+
+test('channels are named after the avvio lifecycle', t => {
+  t.plan(3)
+
+  t.equal(channels.pluginStart.name, 'avvio:plugin:start')
+  t.equal(channels.ready.start.name, 'tracing:avvio:ready:start')
+  t.equal(channels.onClose.asyncEnd.name, 'tracing:avvio:onClose:asyncEnd')
+})
+
+test('traceWorker calls the worker with the callback when there are no subscribers', t => {
+  t.plan(3)
+
+  const context = {}
+  const callback = () => {}
+  const traced = traceWorker(() => channels.after, function (func, cb) {
+    t.equal(this, context)
+    t.equal(func, noop)
+    t.equal(cb, callback)
+  })
+
+  function noop () {}
+  traced.call(context, noop, callback)
+})
+
+test('traceWorker publishes the execution of the worker', t => {
+  t.plan(4)
+
+  const events = []
+  subscribe(t, 'avvio:after', events)
+
+  const kaboom = new Error('kaboom')
+  const traced = traceWorker(() => channels.after, function (func, cb) {
+    setImmediate(cb, kaboom)
+  })
+
+  traced(function work () {}, (err) => {
+    t.equal(err, kaboom)
+    events.push(['callback'])
+  })
+
+  setImmediate(() => {
+    t.same(events.map(([event]) => event), ['start', 'end', 'error', 'asyncStart', 'callback', 'asyncEnd'])
+    t.equal(events[0][1].name, 'work')
+    t.equal(events[0][1].error, kaboom)
+  })
+})
+
+test('traceWorker publishes the errors thrown by the worker', t => {
+  t.plan(2)
+
+  const events = []
+  subscribe(t, 'avvio:close', events)
+
+  const kaboom = new Error('kaboom')
+  const traced = traceWorker(() => channels.close, function (func, cb) {
+    throw kaboom
+  })
+
+  t.throws(() => traced(() => {}, () => {}), kaboom)
+  t.same(events.map(([event, message]) => [event, message.name]), [
+    ['start', 'anonymous'],
+    ['error', 'anonymous'],
+    ['end', 'anonymous']
+  ])
+})
@@ -0,0 +1,71 @@
+'use strict'
+
+const path = require('node:path')
+const { test } = require('tap')
+const { getCallSite } = require('../../lib/get-call-site')
+
+const bootFile = path.join(__dirname, '..', '..', 'boot.js')
+const pluginFile = path.join(__dirname, '..', '..', 'lib', 'plugin.js')
+
+test('getCallSite skips the frames of avvio', (t) => {
+  t.plan(1)
+
+  const stack = [
+    'Error',
+    `    at Boot._addPlugin (${bootFile}:380:9)`,
+    `    at Boot.use (${bootFile}:330:8)`,
+    `    at Plugin.exec (${pluginFile}:270:10)`,
+    '    at api (/app/plugins/api.js:12:5)',
+    '    at /app/server.js:3:7'
+  ].join('\n')
+
+  t.equal(getCallSite(stack), '/app/plugins/api.js:12:5')
+})
+
+test('getCallSite of an anonymous frame', (t) => {
+  t.plan(1)
+
+  const stack = [
+    'Error',
+    `    at Boot.use (${bootFile}:330:8)`,
+    '    at new Promise (<anonymous>)',
+    '    at file:///app/server.mjs:3:7'
+  ].join('\n')
+
+  t.equal(getCallSite(stack), 'file:///app/server.mjs:3:7')
+})
+
+test('getCallSite without a frame outside of avvio', (t) => {
+  t.plan(3)
+
+  t.equal(getCallSite(`Error\n    at Boot.use (${bootFile}:330:8)`), null)
+  t.equal(getCallSite('Error'), null)
+  t.equal(getCallSite(undefined), null)
+})
+
+test('getCallSite skips the frames in node_modules by default', (t) => {
+  t.plan(2)
+
+  const stack = [
+    'Error',
+    `    at Boot.use (${bootFile}:330:8)`,
+    '    at Object.register (/app/node_modules/fastify/fastify.js:500:11)',
+    '    at /app/server.js:3:7'
+  ].join('\n')
+
+  t.equal(getCallSite(stack), '/app/server.js:3:7')
+  t.equal(getCallSite(stack, []), '/app/node_modules/fastify/fastify.js:500:11')
+})
+
+test('getCallSite skips the frames of the ignored files', (t) => {
+  t.plan(1)
+
+  const stack = [
+    'Error',
+    `    at Boot.use (${bootFile}:330:8)`,
+    '    at Object.register (/app/lib/framework.js:50:11)',
+    '    at /app/server.js:3:7'
+  ].join('\n')
+
+  t.equal(getCallSite(stack, [/\/lib\/framework\.js$/]), '/app/server.js:3:7')
+})
@@ -0,0 +1,48 @@
+'use strict'
+
+const { test } = require('tap')
+const { getPluginDependencies } = require('../../lib/get-plugin-dependencies')
+const { kPluginMeta } = require('../../lib/symbols')
+
+test('getPluginDependencies of function without metadata', (t) => {
+  t.plan(1)
+
+  t.same(getPluginDependencies(function aPlugin () { }), [])
+})
+
+test("getPluginDependencies based on Symbol 'plugin-meta' /1", (t) => {
+  t.plan(1)
+
+  function plugin () {
+
+  }
+
+  plugin[kPluginMeta] = { name: 'plugin' }
+  t.same(getPluginDependencies(plugin), [])
+})
+
+test("getPluginDependencies based on Symbol 'plugin-meta' /2", (t) => {
+  t.plan(1)
+
+  function plugin () {
+
+  }
+
+  plugin[kPluginMeta] = {
+    dependencies: ['db', 'cache']
+  }
+  t.same(getPluginDependencies(plugin), ['db', 'cache'])
+})
+
+test('getPluginDependencies ignores dependencies that are not an array', (t) => {
+  t.plan(1)
+
+  function plugin () {
+
+  }
+
+  plugin[kPluginMeta] = {
+    dependencies: 'db'
+  }
+  t.same(getPluginDependencies(plugin), [])
+})
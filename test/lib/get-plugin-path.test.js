@@ -0,0 +1,20 @@
+'use strict'
+
+const { test } = require('tap')
+const { getPluginPath } = require('../../lib/get-plugin-path')
+
+test('getPluginPath of the root plugin', (t) => {
+  t.plan(1)
+
+  t.same(getPluginPath({ name: 'root', parent: null }), ['root'])
+})
+
+test('getPluginPath of a nested plugin', (t) => {
+  t.plan(1)
+
+  const root = { name: 'root', parent: null }
+  const api = { name: 'api', parent: root }
+  const auth = { name: 'auth', parent: api }
+
+  t.same(getPluginPath(auth), ['root', 'api', 'auth'])
+})
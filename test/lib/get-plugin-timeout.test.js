@@ -0,0 +1,42 @@
+'use strict'
+
+const { test } = require('tap')
+const { getPluginTimeout } = require('../../lib/get-plugin-timeout')
+const { kPluginMeta } = require('../../lib/symbols')
+
+test('getPluginTimeout of function without options nor metadata', (t) => {
+  t.plan(2)
+
+  t.equal(getPluginTimeout(function aPlugin () { }), null)
+  t.equal(getPluginTimeout(function aPlugin () { }, { name: 'aPlugin' }), null)
+})
+
+test('getPluginTimeout based on the options', (t) => {
+  t.plan(3)
+
+  t.same(getPluginTimeout(function aPlugin () { }, { timeout: 100 }), { timeout: 100, inherit: false })
+  t.same(getPluginTimeout(function aPlugin () { }, { timeout: '100', inheritTimeout: true }), { timeout: 100, inherit: true })
+  t.same(getPluginTimeout(function aPlugin () { }, { timeout: 0 }), { timeout: 0, inherit: false })
+})
+
+test("getPluginTimeout based on Symbol 'plugin-meta'", (t) => {
+  t.plan(1)
+
+  function plugin () {
+
+  }
+
+  plugin[kPluginMeta] = { name: 'plugin', timeout: 200, inheritTimeout: true }
+  t.same(getPluginTimeout(plugin), { timeout: 200, inherit: true })
+})
+
+test('getPluginTimeout prefers the options to the metadata', (t) => {
+  t.plan(1)
+
+  function plugin () {
+
+  }
+
+  plugin[kPluginMeta] = { name: 'plugin', timeout: 200 }
+  t.same(getPluginTimeout(plugin, { timeout: 100 }), { timeout: 100, inherit: false })
+})
@@ -0,0 +1,48 @@
+'use strict'
+
+const { test } = require('tap')
+const { getRetryPolicy } = require('../../lib/get-retry-policy')
+
+test('getRetryPolicy without retry option', (t) => {
+  t.plan(3)
+
+  t.equal(getRetryPolicy(), null)
+  t.equal(getRetryPolicy({}), null)
+  t.equal(getRetryPolicy({ retry: false }), null)
+})
+
+test('getRetryPolicy defaults', (t) => {
+  t.plan(3)
+
+  const policy = getRetryPolicy({ retry: {} })
+  t.equal(policy.attempts, 3)
+  t.equal(policy.backoff(1, new Error('kaboom')), 0)
+  t.equal(policy.retryOn(new Error('kaboom')), true)
+})
+
+test('getRetryPolicy with a fixed backoff', (t) => {
+  t.plan(3)
+
+  const policy = getRetryPolicy({ retry: { attempts: '5', backoff: 100 } })
+  t.equal(policy.attempts, 5)
+  t.equal(policy.backoff(1), 100)
+  t.equal(policy.backoff(2), 100)
+})
+
+test('getRetryPolicy with functions', (t) => {
+  t.plan(3)
+
+  const backoff = (attempt) => 2 ** attempt * 100
+  const retryOn = (err) => err.code === 'ECONNREFUSED'
+  const policy = getRetryPolicy({ retry: { attempts: 4, backoff, retryOn } })
+  t.equal(policy.backoff, backoff)
+  t.equal(policy.retryOn, retryOn)
+  t.equal(policy.attempts, 4)
+})
+
+test('getRetryPolicy makes at least one attempt', (t) => {
+  t.plan(2)
+
+  t.equal(getRetryPolicy({ retry: { attempts: 0 } }).attempts, 1)
+  t.equal(getRetryPolicy({ retry: { attempts: -2 } }).attempts, 1)
+})
@@ -0,0 +1,41 @@
+'use strict'
+
+const { test } = require('tap')
+const { isOptionalPlugin } = require('../../lib/is-optional-plugin')
+const { kPluginMeta } = require('../../lib/symbols')
+
+test('isOptionalPlugin of function without options nor metadata', (t) => {
+  t.plan(2)
+
+  t.equal(isOptionalPlugin(function aPlugin () { }), false)
+  t.equal(isOptionalPlugin(function aPlugin () { }, { name: 'aPlugin' }), false)
+})
+
+test('isOptionalPlugin based on the options', (t) => {
+  t.plan(2)
+
+  t.equal(isOptionalPlugin(function aPlugin () { }, { optional: true }), true)
+  t.equal(isOptionalPlugin(function aPlugin () { }, { optional: false }), false)
+})
+
+test("isOptionalPlugin based on Symbol 'plugin-meta'", (t) => {
+  t.plan(1)
+
+  function plugin () {
+
+  }
+
+  plugin[kPluginMeta] = { name: 'plugin', optional: true }
+  t.equal(isOptionalPlugin(plugin), true)
+})
+
+test('isOptionalPlugin prefers the options to the metadata', (t) => {
+  t.plan(1)
+
+  function plugin () {
+
+  }
+
+  plugin[kPluginMeta] = { name: 'plugin', optional: true }
+  t.equal(isOptionalPlugin(plugin, { optional: false }), false)
+})
@@ -0,0 +1,43 @@
+'use strict'
+
+const { test } = require('tap')
+const { monitorBlocking } = require('../../lib/monitor-blocking')
+
+function block (ms) {
+  const end = Date.now() + ms
+  while (Date.now() < end) {
+    // busy wait
+  }
+}
+
+test('monitorBlocking returns the longest time the event loop was blocked', (t) => {
+  t.plan(2)
+
+  const stop = monitorBlocking()
+  setTimeout(() => {
+    block(30)
+    setTimeout(() => {
+      block(10)
+      const blocked = stop()
+      t.ok(blocked >= 25)
+      t.ok(blocked < 100)
+    }, 5)
+  }, 5)
+})
+
+test('monitorBlocking accounts for the time since the last sample', (t) => {
+  t.plan(1)
+
+  const stop = monitorBlocking()
+  block(30)
+  t.ok(stop() >= 25)
+})
+
+test('monitorBlocking of an idle event loop', (t) => {
+  t.plan(1)
+
+  const stop = monitorBlocking()
+  setTimeout(() => {
+    t.ok(stop() < 20)
+  }, 20)
+})
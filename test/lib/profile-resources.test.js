@@ -0,0 +1,21 @@
+'use strict'
+
+const { test } = require('tap')
+const { profileResources } = require('../../lib/profile-resources')
+
+test('profileResources returns the resources used since the sample', (t) => {
+  t.plan(6)
+
+  const stop = profileResources()
+  const allocated = new Array(1e6).fill(1)
+  const timer = setInterval(() => {}, 1000)
+  const resources = stop()
+  clearInterval(timer)
+
+  t.same(Object.keys(resources), ['heapUsed', 'rss', 'activeHandles', 'eventLoopUtilization'])
+  t.ok(resources.heapUsed > 0)
+  t.type(resources.rss, 'number')
+  t.equal(resources.activeHandles, typeof process.getActiveResourcesInfo === 'function' ? 1 : 0)
+  t.ok(resources.eventLoopUtilization >= 0 && resources.eventLoopUtilization <= 1)
+  t.equal(allocated.length, 1e6)
+})
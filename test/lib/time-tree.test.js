@@ -18,14 +18,6 @@ test('TimeTree is constructed with an empty tableId-Map', t => {
   t.equal(tree.tableId.size, 0)
 })
 
-test('TimeTree is constructed with an empty tableLabel-Map', t => {
-  t.plan(2)
-
-  const tree = new TimeTree()
-  t.ok(tree.tableLabel instanceof Map)
-  t.equal(tree.tableLabel.size, 0)
-})
-
 test('TimeTree#toJSON dumps the content of the TimeTree', t => {
   t.plan(1)
 
@@ -41,14 +33,14 @@ test('TimeTree#toJSON is creating new instances of its content, ensuring being i
 })
 
 test('TimeTree#start is adding a node with correct shape, root-node', t => {
-  t.plan(15)
+  t.plan(27)
 
   const tree = new TimeTree()
   tree.start(null, 'root')
 
   const rootNode = tree.root
 
-  t.equal(Object.keys(rootNode).length, 7)
+  t.equal(Object.keys(rootNode).length, 13)
   t.ok('parent' in rootNode)
   t.equal(rootNode.parent, null)
   t.ok('id' in rootNode)
@@ -63,10 +55,22 @@ test('TimeTree#start is adding a node with correct shape, root-node', t => {
   t.type(rootNode.stop, 'null')
   t.ok('diff' in rootNode)
   t.type(rootNode.diff, 'number')
+  t.ok('self' in rootNode)
+  t.type(rootNode.self, 'number')
+  t.ok('status' in rootNode)
+  t.equal(rootNode.status, 'loading')
+  t.ok('error' in rootNode)
+  t.type(rootNode.error, 'null')
+  t.ok('resources' in rootNode)
+  t.type(rootNode.resources, 'null')
+  t.ok('blocked' in rootNode)
+  t.type(rootNode.blocked, 'null')
+  t.ok('attempts' in rootNode)
+  t.type(rootNode.attempts, 'null')
 })
 
 test('TimeTree#start is adding a node with correct shape, child-node', t => {
-  t.plan(16)
+  t.plan(28)
 
   const tree = new TimeTree()
   tree.start(null, 'root')
@@ -78,7 +82,7 @@ test('TimeTree#start is adding a node with correct shape, child-node', t => {
 
   const childNode = rootNode.nodes[0]
 
-  t.equal(Object.keys(childNode).length, 7)
+  t.equal(Object.keys(childNode).length, 13)
   t.ok('parent' in childNode)
   t.type(childNode.parent, 'string')
   t.ok('id' in childNode)
@@ -93,6 +97,18 @@ test('TimeTree#start is adding a node with correct shape, child-node', t => {
   t.type(childNode.stop, 'null')
   t.ok('diff' in childNode)
   t.type(childNode.diff, 'number')
+  t.ok('self' in childNode)
+  t.type(childNode.self, 'number')
+  t.ok('status' in childNode)
+  t.equal(childNode.status, 'loading')
+  t.ok('error' in childNode)
+  t.type(childNode.error, 'null')
+  t.ok('resources' in childNode)
+  t.type(childNode.resources, 'null')
+  t.ok('blocked' in childNode)
+  t.type(childNode.blocked, 'null')
+  t.ok('attempts' in childNode)
+  t.type(childNode.attempts, 'null')
 })
 
 test('TimeTree#start is adding a root element when parent is null', t => {
@@ -104,7 +120,7 @@ test('TimeTree#start is adding a root element when parent is null', t => {
   const rootNode = tree.root
 
   t.type(rootNode, 'object')
-  t.equal(Object.keys(rootNode).length, 7)
+  t.equal(Object.keys(rootNode).length, 13)
   t.equal(rootNode.parent, null)
   t.equal(rootNode.id, 'root')
   t.equal(rootNode.label, 'root')
@@ -123,7 +139,7 @@ test('TimeTree#start is adding a root element when parent does not exist', t =>
   const rootNode = tree.root
 
   t.type(rootNode, 'object')
-  t.equal(Object.keys(rootNode).length, 7)
+  t.equal(Object.keys(rootNode).length, 13)
   t.equal(rootNode.parent, null)
   t.equal(rootNode.id, 'root')
   t.equal(rootNode.label, 'root')
@@ -161,74 +177,91 @@ test('TimeTree#start returns id of child, when adding a child node', t => {
 
   const tree = new TimeTree()
   tree.start(null, 'root')
-  t.match(tree.start('root', 'child'), /^child-[0-9.]+$/)
+  t.equal(tree.start('root', 'child'), 'root/child/0')
 })
 
-test('TimeTree tracks node ids /1', t => {
-  t.plan(3)
+test('TimeTree#start returns ids based on the position of the node', t => {
+  t.plan(4)
 
   const tree = new TimeTree()
   tree.start(null, 'root')
-  tree.start('root', 'child')
+  const first = tree.start('root', 'child')
+  const second = tree.start('root', 'child')
 
-  t.equal(tree.tableId.size, 2)
-  t.ok(tree.tableId.has('root'))
-  t.ok(tree.tableId.has(tree.root.nodes[0].id))
+  t.equal(first, 'root/child/0')
+  t.equal(second, 'root/child/1')
+  t.equal(tree.start(first, 'grandchild'), 'root/child/0/grandchild/0')
+  t.equal(tree.start(second, 'grandchild'), 'root/child/1/grandchild/0')
 })
 
-test('TimeTree tracks node ids /2', t => {
+test('TimeTree#start links the child to the parent with the given id', t => {
   t.plan(4)
 
   const tree = new TimeTree()
   tree.start(null, 'root')
+  const first = tree.start('root', 'child')
   tree.start('root', 'child')
-  tree.start('child', 'grandchild')
+  const grandchild = tree.start(first, 'grandchild')
 
-  t.equal(tree.tableId.size, 3)
-  t.ok(tree.tableId.has('root'))
-  t.ok(tree.tableId.has(tree.root.nodes[0].id))
-  t.ok(tree.tableId.has(tree.root.nodes[0].nodes[0].id))
+  t.equal(tree.root.nodes[0].nodes.length, 1)
+  t.equal(tree.root.nodes[1].nodes.length, 0)
+  t.equal(tree.root.nodes[0].nodes[0].id, grandchild)
+  t.equal(tree.root.nodes[0].nodes[0].parent, first)
 })
 
-test('TimeTree tracks node ids /3', t => {
-  t.plan(4)
+test('TimeTree#start returns the same ids for the same tree', t => {
+  t.plan(1)
+
+  function build () {
+    const tree = new TimeTree()
+    tree.start(null, 'root', 0)
+    const db = tree.start('root', 'db', 0)
+    tree.start(db, 'pool', 1)
+    tree.start('root', 'db', 2)
+    return tree
+  }
+
+  t.same(build().toJSON(), build().toJSON())
+})
+
+test('TimeTree tracks node ids /1', t => {
+  t.plan(3)
 
   const tree = new TimeTree()
   tree.start(null, 'root')
   tree.start('root', 'child')
-  tree.start('root', 'child')
 
-  t.equal(tree.tableId.size, 3)
+  t.equal(tree.tableId.size, 2)
   t.ok(tree.tableId.has('root'))
   t.ok(tree.tableId.has(tree.root.nodes[0].id))
-  t.ok(tree.tableId.has(tree.root.nodes[1].id))
 })
 
-test('TimeTree tracks node labels /1', t => {
+test('TimeTree tracks node ids /2', t => {
   t.plan(4)
 
   const tree = new TimeTree()
   tree.start(null, 'root')
-  tree.start('root', 'child')
-  tree.start('root', 'sibling')
+  const child = tree.start('root', 'child')
+  tree.start(child, 'grandchild')
 
-  t.equal(tree.tableLabel.size, 3)
-  t.ok(tree.tableLabel.has('root'))
-  t.ok(tree.tableLabel.has('child'))
-  t.ok(tree.tableLabel.has('sibling'))
+  t.equal(tree.tableId.size, 3)
+  t.ok(tree.tableId.has('root'))
+  t.ok(tree.tableId.has(tree.root.nodes[0].id))
+  t.ok(tree.tableId.has(tree.root.nodes[0].nodes[0].id))
 })
 
-test('TimeTree tracks node labels /2', t => {
-  t.plan(3)
+test('TimeTree tracks node ids /3', t => {
+  t.plan(4)
 
   const tree = new TimeTree()
   tree.start(null, 'root')
   tree.start('root', 'child')
   tree.start('root', 'child')
 
-  t.equal(tree.tableLabel.size, 2)
-  t.ok(tree.tableLabel.has('root'))
-  t.ok(tree.tableLabel.has('child'))
+  t.equal(tree.tableId.size, 3)
+  t.ok(tree.tableId.has('root'))
+  t.ok(tree.tableId.has(tree.root.nodes[0].id))
+  t.ok(tree.tableId.has(tree.root.nodes[1].id))
 })
 
 test('TimeTree#stop returns undefined', t => {
@@ -277,6 +310,31 @@ test('TimeTree#stop calculates the diff', t => {
   t.equal(tree.root.diff, 4)
 })
 
+test('TimeTree#stop sets the status of node to loaded by default', t => {
+  t.plan(2)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root')
+  tree.stop('root')
+
+  t.equal(tree.root.status, 'loaded')
+  t.type(tree.root.error, 'null')
+})
+
+test('TimeTree#stop parameters status and error are used for the node', t => {
+  t.plan(2)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root')
+
+  const error = new Error('kaboom')
+  error.code = 'ERR_KABOOM'
+  tree.stop('root', 5, 'failed', error)
+
+  t.equal(tree.root.status, 'failed')
+  t.same(tree.root.error, { code: 'ERR_KABOOM', message: 'kaboom' })
+})
+
 test('TimeTree#stop does nothing when node is not found', t => {
   t.plan(2)
 
@@ -305,8 +363,8 @@ test('TimeTree untracks node ids /2', t => {
 
   const tree = new TimeTree()
   tree.start(null, 'root')
-  tree.start('root', 'child')
-  tree.start('child', 'grandchild')
+  const child = tree.start('root', 'child')
+  tree.start(child, 'grandchild')
 
   tree.stop(tree.root.nodes[0].nodes[0].id)
 
@@ -345,47 +403,342 @@ test('TimeTree untracks node ids /4', t => {
   t.ok(tree.tableId.has(tree.root.nodes[0].id))
 })
 
-test('TimeTree untracks node labels /1', t => {
-  t.plan(3)
+test('TimeTree#prettyPrint returns an empty string when there is no root', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  t.equal(tree.prettyPrint(), '')
+})
+
+test('TimeTree#prettyPrint marks the nodes that did not load', t => {
+  t.plan(1)
 
   const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const failed = tree.start('root', 'failed', 0)
+  const timedOut = tree.start('root', 'timedOut', 0)
+  const skipped = tree.start('root', 'skipped', 0)
+  const error = new Error('timeout')
+  error.code = 'ERR_TIMEOUT'
+  tree.stop(failed, 1, 'failed', new Error('kaboom'))
+  tree.stop(timedOut, 2, 'timedOut', error)
+  tree.stop(skipped, 2, 'skipped')
+  tree.stop('root', 3)
+
+  t.equal(tree.prettyPrint(), [
+    'root 3 ms',
+    '├── failed 1 ms [failed] kaboom',
+    '├── timedOut 2 ms [timedOut] ERR_TIMEOUT: timeout',
+    '└── skipped 2 ms [skipped]',
+    ''
+  ].join('\n'))
+})
+
+test('TimeTree uses the clock passed as option', t => {
+  t.plan(3)
+
+  let time = 1.25
+  const tree = new TimeTree({ now: () => time })
   tree.start(null, 'root')
-  tree.start('root', 'child')
-  tree.start('root', 'sibling')
+  time = 3.5
+  tree.stop('root')
 
-  tree.stop(tree.root.nodes[1].id)
+  t.equal(tree.root.start, 1.25)
+  t.equal(tree.root.stop, 3.5)
+  t.equal(tree.root.diff, 2.25)
+})
+
+test('TimeTree#prettyPrint formats durations with the given precision', t => {
+  t.plan(3)
 
-  t.equal(tree.tableLabel.size, 2)
-  t.ok(tree.tableLabel.has('root'))
-  t.ok(tree.tableLabel.has('child'))
+  const tree = new TimeTree({ precision: 2 })
+  tree.start(null, 'root', 0)
+  const child = tree.start('root', 'child', 0.5)
+  tree.stop(child, 0.8125)
+  tree.stop('root', 1.5)
+
+  t.equal(tree.prettyPrint(), 'root 1.50 ms\n└── child 0.31 ms\n')
+  t.equal(tree.prettyPrint({ precision: 4 }), 'root 1.5000 ms\n└── child 0.3125 ms\n')
+  t.equal(tree.prettyPrint({ precision: 0 }), 'root 2 ms\n└── child 0 ms\n')
+})
+
+test('TimeTree#toTraceEvents returns an empty list when there is no root', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  t.same(tree.toTraceEvents(), [])
+})
+
+test('TimeTree#toTraceEvents returns complete events in microseconds', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 1)
+  const child = tree.start('root', 'child', 2)
+  tree.start(child, 'loading', 3)
+  tree.stop(child, 5, 'failed', new Error('kaboom'))
+  tree.stop('root', 6)
+
+  t.same(tree.toTraceEvents({ cat: 'boot', pid: 42, tid: 7 }), [
+    { name: 'root', cat: 'boot', ph: 'X', ts: 1000, dur: 5000, pid: 42, tid: 7, args: { status: 'loaded', error: null } },
+    { name: 'child', cat: 'boot', ph: 'X', ts: 2000, dur: 3000, pid: 42, tid: 7, args: { status: 'failed', error: { code: undefined, message: 'kaboom' } } },
+    { name: 'loading', cat: 'boot', ph: 'B', ts: 3000, pid: 42, tid: 7, args: { status: 'loading', error: null } }
+  ])
+})
+
+test('TimeTree#toTraceEvents places overlapping siblings on their own thread', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const first = tree.start('root', 'first', 1)
+  const second = tree.start('root', 'second', 2)
+  const nested = tree.start(second, 'nested', 3)
+  tree.stop(first, 4)
+  const third = tree.start('root', 'third', 5)
+  tree.stop(nested, 6)
+  tree.stop(second, 7)
+  tree.start('root', 'fourth', 6)
+  tree.stop(third, 8)
+  tree.stop('root', 9)
+
+  t.same(tree.toTraceEvents({ tid: 2 }).map(({ name, tid }) => ({ name, tid })), [
+    { name: 'root', tid: 2 },
+    { name: 'first', tid: 2 },
+    { name: 'second', tid: 3 },
+    { name: 'nested', tid: 3 },
+    { name: 'third', tid: 2 },
+    { name: 'fourth', tid: 4 }
+  ])
 })
 
-test('TimeTree untracks node labels /2', t => {
+test('TimeTree#stop calculates the self time', t => {
   t.plan(3)
 
   const tree = new TimeTree()
-  tree.start(null, 'root')
-  tree.start('root', 'child')
-  tree.start('root', 'sibling')
+  tree.start(null, 'root', 0)
+  const first = tree.start('root', 'first', 1)
+  tree.stop(first, 4)
+  const second = tree.start('root', 'second', 4)
+  tree.stop(second, 6)
+  tree.stop('root', 10)
+
+  t.equal(tree.root.nodes[0].self, 3)
+  t.equal(tree.root.nodes[1].self, 2)
+  t.equal(tree.root.self, 5)
+})
 
-  tree.stop(tree.root.nodes[0].id)
+test('TimeTree#stop calculates the self time with overlapping nodes', t => {
+  t.plan(1)
 
-  t.equal(tree.tableLabel.size, 2)
-  t.ok(tree.tableLabel.has('root'))
-  t.ok(tree.tableLabel.has('sibling'))
+  const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const first = tree.start('root', 'first', 1)
+  const second = tree.start('root', 'second', 2)
+  const third = tree.start('root', 'third', 3)
+  tree.stop(third, 4)
+  tree.stop(first, 5)
+  tree.stop(second, 6)
+  tree.stop('root', 10)
+
+  t.equal(tree.root.self, 5)
 })
 
-test('TimeTree does not untrack label if used by other node', t => {
+test('TimeTree#measure returns the timings of a node not stopped yet', t => {
   t.plan(3)
 
   const tree = new TimeTree()
-  tree.start(null, 'root')
-  tree.start('root', 'child')
-  tree.start('root', 'child')
+  tree.start(null, 'root', 0)
+  const first = tree.start('root', 'first', 1)
+  tree.stop(first, 4)
 
-  tree.stop(tree.root.nodes[0].id)
+  t.same(tree.measure('root', 10), { diff: 10, self: 7 })
+  t.equal(tree.root.stop, null)
+  t.equal(tree.root.status, 'loading')
+})
+
+test('TimeTree#criticalPath returns an empty list when there is no root', t => {
+  t.plan(1)
 
-  t.equal(tree.tableLabel.size, 2)
-  t.ok(tree.tableLabel.has('root'))
-  t.ok(tree.tableLabel.has('child'))
+  const tree = new TimeTree()
+  t.same(tree.criticalPath(), [])
+})
+
+test('TimeTree#criticalPath follows the nodes with the highest diff', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const first = tree.start('root', 'first', 0)
+  const child = tree.start(first, 'child', 1)
+  tree.stop(child, 2)
+  tree.stop(first, 3)
+  const second = tree.start('root', 'second', 3)
+  const slow = tree.start(second, 'slow', 3)
+  tree.stop(slow, 8)
+  const fast = tree.start(second, 'fast', 8)
+  tree.stop(fast, 9)
+  tree.stop(second, 10)
+  tree.stop('root', 10)
+
+  t.same(tree.criticalPath().map(({ label, diff, self }) => ({ label, diff, self })), [
+    { label: 'root', diff: 10, self: 0 },
+    { label: 'second', diff: 7, self: 1 },
+    { label: 'slow', diff: 5, self: 5 }
+  ])
+})
+
+test('TimeTree#prettyPrint prints the self time with the self option', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const first = tree.start('root', 'first', 1)
+  tree.start('root', 'loading', 4)
+  tree.stop(first, 4)
+  tree.stop('root', 10)
+
+  t.equal(tree.prettyPrint({ self: true }), [
+    'root 10 ms (self 7 ms)',
+    '├── first 3 ms (self 3 ms)',
+    '└── loading -1 ms',
+    ''
+  ].join('\n'))
+})
+
+test('TimeTree#toSpans returns an empty array when there is no root', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  t.same(tree.toSpans(), [])
+})
+
+test('TimeTree#toSpans returns the nodes as linked spans', t => {
+  t.plan(8)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 1000)
+  const child = tree.start('root', 'child', 1000.5)
+  tree.stop(child, 1002)
+  tree.stop('root', 1003)
+
+  const traceId = '0af7651916cd43dd8448eb211c80319c'
+  const [root, span] = tree.toSpans({ traceId })
+
+  t.same(root, {
+    traceId,
+    spanId: root.spanId,
+    parentSpanId: undefined,
+    name: 'root',
+    kind: 1,
+    startTimeUnixNano: '1000000000',
+    endTimeUnixNano: '1003000000',
+    attributes: [
+      { key: 'avvio.id', value: { stringValue: 'root' } },
+      { key: 'avvio.plugin', value: { stringValue: 'root' } },
+      { key: 'avvio.status', value: { stringValue: 'loaded' } }
+    ],
+    events: [],
+    status: { code: 0 }
+  })
+  t.match(root.spanId, /^[0-9a-f]{16}$/)
+  t.equal(span.traceId, traceId)
+  t.equal(span.parentSpanId, root.spanId)
+  t.equal(span.startTimeUnixNano, '1000500000')
+  t.equal(span.endTimeUnixNano, '1002000000')
+  t.same(tree.toSpans({ traceId }).map(({ spanId }) => spanId), [root.spanId, span.spanId])
+  t.match(tree.toSpans()[0].traceId, /^[0-9a-f]{32}$/)
+})
+
+test('TimeTree#toSpans records the errors as exception events', t => {
+  t.plan(2)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 1)
+  const child = tree.start('root', 'child', 1)
+  const err = new Error('kaboom')
+  err.code = 'ECONNREFUSED'
+  tree.stop(child, 2, 'failed', err)
+
+  const [, span] = tree.toSpans({ parentSpanId: '00f067aa0ba902b7' })
+  t.same(span.events, [{
+    name: 'exception',
+    timeUnixNano: '2000000',
+    attributes: [
+      { key: 'exception.type', value: { stringValue: 'ECONNREFUSED' } },
+      { key: 'exception.message', value: { stringValue: 'kaboom' } }
+    ]
+  }])
+  t.same(span.status, { code: 2, message: 'kaboom' })
+})
+
+test('TimeTree#toSpans ends the nodes still loading now', t => {
+  t.plan(3)
+
+  const tree = new TimeTree({ now: () => 5 })
+  tree.start(null, 'root', 1)
+
+  const [root] = tree.toSpans({ parentSpanId: '00f067aa0ba902b7' })
+  t.equal(root.parentSpanId, '00f067aa0ba902b7')
+  t.equal(root.endTimeUnixNano, '5000000')
+  t.same(root.attributes[2], { key: 'avvio.status', value: { stringValue: 'loading' } })
+})
+
+test('TimeTree#prettyPrint prints the resources used by the nodes', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const child = tree.start('root', 'child', 1)
+  tree.root.nodes[0].resources = {
+    heapUsed: 400 * 1024 * 1024,
+    rss: -1.5 * 1024 * 1024,
+    activeHandles: 2,
+    eventLoopUtilization: 0.856
+  }
+  tree.stop(child, 3)
+  tree.stop('root', 4)
+
+  t.equal(tree.prettyPrint(), [
+    'root 4 ms',
+    '└── child 2 ms (heap +400.0 MB, rss -1.5 MB, handles +2, elu 86%)',
+    ''
+  ].join('\n'))
+})
+
+test('TimeTree#prettyPrint prints the time the nodes blocked the event loop', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const child = tree.start('root', 'child', 1)
+  tree.root.nodes[0].blocked = 2
+  tree.stop(child, 3)
+  tree.stop('root', 4)
+
+  t.equal(tree.prettyPrint(), [
+    'root 4 ms',
+    '└── child 2 ms (blocked 2 ms)',
+    ''
+  ].join('\n'))
+})
+
+test('TimeTree#prettyPrint prints the attempts of the nodes retried', t => {
+  t.plan(1)
+
+  const tree = new TimeTree()
+  tree.start(null, 'root', 0)
+  const child = tree.start('root', 'child', 1)
+  tree.root.nodes[0].attempts = [
+    { start: 1, stop: 2, error: { code: 'ECONNREFUSED', message: 'connect ECONNREFUSED' } },
+    { start: 2, stop: 3, error: null }
+  ]
+  tree.stop(child, 3)
+  tree.stop('root', 4)
+
+  t.equal(tree.prettyPrint(), [
+    'root 4 ms',
+    '└── child 2 ms (2 attempts)',
+    ''
+  ].join('\n'))
 })
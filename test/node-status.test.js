@@ -0,0 +1,165 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+const { kPluginMeta } = require('../lib/symbols')
+
+test('loaded plugins have the loaded status', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function first (s, opts, done) {
+    s.use(function second (s, opts, done) {
+      done()
+    })
+    done()
+  })
+
+  await app.ready()
+  t.match(app.toJSON(), {
+    label: 'root',
+    status: 'loaded',
+    error: null,
+    nodes: [
+      {
+        label: 'first',
+        status: 'loaded',
+        error: null,
+        nodes: [{ label: 'second', status: 'loaded', error: null }]
+      }
+    ]
+  })
+})
+
+test('failed, timed out and skipped plugins are marked in the tree', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { timeout: 20 })
+
+  app.use(function first (s, opts, done) {
+    s.use(function broken (s, opts, done) {
+      const err = new Error('kaboom')
+      err.code = 'ERR_KABOOM'
+      done(err)
+    })
+    done()
+  })
+  app.use(function skipped (s, opts, done) {
+    done()
+  })
+  app.after(function passThrough (err, done) {
+    done(err)
+  })
+
+  app.ready(() => {
+    t.match(app.toJSON(), {
+      label: 'root',
+      status: 'loaded',
+      nodes: [
+        {
+          label: 'first',
+          status: 'loaded',
+          nodes: [
+            { label: 'broken', status: 'failed', error: { code: 'ERR_KABOOM', message: 'kaboom' } }
+          ]
+        },
+        { label: 'skipped', status: 'skipped', error: null, diff: 0 },
+        { label: 'bound _after', status: 'loaded', error: null }
+      ]
+    })
+
+    const lines = app.prettyPrint().split('\n')
+    t.same(lines.map((line) => line.replace(/\d+ ms/, 'X ms')), [
+      'root X ms',
+      '├─┬ first X ms',
+      '│ └── broken X ms [failed] ERR_KABOOM: kaboom',
+      '├── skipped X ms [skipped]',
+      '└── bound _after X ms',
+      ''
+    ])
+  })
+})
+
+test('timed out plugins have the timedOut status', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { timeout: 10 })
+
+  app.use(function stuck (s, opts, done) {
+    // do not call done on purpose
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.match(app.toJSON(), {
+      nodes: [
+        { label: 'stuck', status: 'timedOut', error: { code: 'AVV_ERR_PLUGIN_EXEC_TIMEOUT' } }
+      ]
+    })
+  })
+})
+
+test('plugins failing before starting have the failed status', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  const api = function (s, opts, done) { done() }
+  api[kPluginMeta] = { name: 'api', dependencies: ['db'] }
+  app.use(api)
+
+  app.ready(() => {
+    t.match(app.toJSON(), {
+      nodes: [
+        { label: 'api', status: 'failed', error: { code: 'AVV_ERR_PLUGIN_DEPENDENCY_MISSING' } }
+      ]
+    })
+  })
+})
+
+test('after callbacks throwing a new error have the failed status', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function first (s, opts, done) {
+    done()
+  })
+  app.after(async function (err) {
+    if (err) throw err
+    throw new Error('after kaboom')
+  })
+
+  app.ready(() => {
+    t.match(app.toJSON(), {
+      nodes: [
+        { label: 'first', status: 'loaded' },
+        { label: 'bound _after', status: 'failed', error: { message: 'after kaboom' } }
+      ]
+    })
+  })
+})
+
+test('failed close handlers are marked in the close tree', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { closeTimeout: 10 })
+
+  app.onClose(function stuck (instance, done) {
+    // do not call done on purpose
+  })
+  app.onClose(function broken (instance, done) {
+    done(new Error('kaboom'))
+  })
+
+  app.close(() => {
+    t.match(app.closeToJSON(), {
+      status: 'loaded',
+      nodes: [
+        { label: 'broken (root)', status: 'failed', error: { message: 'kaboom' } },
+        { label: 'stuck (root)', status: 'timedOut', error: { code: 'AVV_ERR_CLOSE_TIMEOUT' } }
+      ]
+    })
+  })
+})
@@ -0,0 +1,178 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+const { kPluginMeta } = require('../lib/symbols')
+
+test('an optional plugin calling done with an error does not fail the boot', (t) => {
+  t.plan(7)
+
+  const app = boot()
+  const flagsErr = new Error('flags unavailable')
+
+  app.on('pluginFailed', (failedPlugin) => {
+    t.equal(failedPlugin.name, 'flags')
+    t.equal(failedPlugin.error, flagsErr)
+  })
+
+  app.use(function flags (s, opts, done) {
+    s.use(function never (s, opts, done) {
+      t.fail('should not be loaded')
+      done()
+    })
+    done(flagsErr)
+  }, { optional: true })
+  app.use(function api (s, opts, done) {
+    t.pass('loaded')
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(app.failedPlugins, [{ name: 'flags', id: 'root/flags/0', error: flagsErr }])
+    const [flags, api] = app.toJSON().nodes
+    t.same([flags.status, api.status], ['failed', 'loaded'])
+    t.same(flags.nodes, [])
+  })
+})
+
+test('an optional plugin timing out does not fail the boot', (t) => {
+  t.plan(5)
+
+  const app = boot({}, { timeout: 20 })
+
+  app.use(function stuck (s, opts, done) {
+    // do not call done on purpose
+  }, { optional: true })
+  app.use(function api (s, opts, done) {
+    t.pass('loaded')
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.equal(app.failedPlugins.length, 1)
+    t.equal(app.failedPlugins[0].error.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.equal(app.toJSON().nodes[0].status, 'timedOut')
+  })
+})
+
+test('a plugin is optional through its metadata', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  async function flags () {
+    throw new Error('flags unavailable')
+  }
+  flags[kPluginMeta] = { name: 'flags', optional: true }
+
+  app.use(flags)
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(app.failedPlugins.map(({ name }) => name), ['flags'])
+  })
+})
+
+test('a plugin optional through its metadata may have no options', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  async function flags () {
+    throw new Error('flags unavailable')
+  }
+  flags[kPluginMeta] = { name: 'flags', optional: true }
+
+  app.use(flags, () => undefined)
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(app.failedPlugins.map(({ name }) => name), ['flags'])
+  })
+})
+
+test('the errors of the nested plugins of an optional plugin do not fail the boot', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.use(function analytics (s, opts, done) {
+    s.use(function client (s, opts, done) {
+      done(new Error('analytics unavailable'))
+    })
+    done()
+  }, { optional: true })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(app.failedPlugins.map(({ name }) => name), ['analytics'])
+  })
+})
+
+test('an onError handler of an optional plugin may still fail the boot', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.use(function flags (s, opts, done) {
+    done(new Error('flags unavailable'))
+  }, {
+    optional: true,
+    onError (err) {
+      throw err
+    }
+  })
+
+  app.ready((err) => {
+    t.equal(err.message, 'flags unavailable')
+    t.same(app.failedPlugins, [])
+  })
+})
+
+test('a failing plugin which is not optional fails the boot', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.use(function flags (s, opts, done) {
+    done(new Error('flags unavailable'))
+  }, { optional: false })
+
+  app.ready((err) => {
+    t.equal(err.message, 'flags unavailable')
+    t.same(app.failedPlugins, [])
+  })
+})
+
+test('an optional plugin failing does not skip the siblings loading concurrently', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { concurrency: 2 })
+  const loaded = []
+
+  app.use(function flags (s, opts, done) {
+    s.use(function slowChild (s, opts, done) {
+      setTimeout(done, 50)
+    })
+    s.use(async function inner () {
+      throw new Error('flags unavailable')
+    })
+    done()
+  }, { concurrency: 2, optional: true })
+  app.use(function b (s, opts, done) {
+    loaded.push('b')
+    setTimeout(done, 10)
+  })
+  app.use(function c (s, opts, done) {
+    loaded.push('c')
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(loaded, ['b', 'c'])
+    t.same(app.failedPlugins.map(({ name }) => name), ['flags'])
+  })
+})
@@ -0,0 +1,163 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+const { kPluginMeta } = require('../lib/symbols')
+
+function createPlugin (name, dependencies, order) {
+  function plugin (s, opts, done) {
+    order.push(name)
+    done()
+  }
+  plugin[kPluginMeta] = { name, dependencies }
+  return plugin
+}
+
+test('a plugin waits for a sibling registered later', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('api', ['db', 'cache'], order))
+  app.use(createPlugin('cache', ['db'], order))
+  app.use(createPlugin('db', [], order))
+
+  await app.ready()
+  t.same(order, ['db', 'cache', 'api'])
+})
+
+test('a dependency loaded earlier is satisfied', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('db', [], order))
+  app.use(createPlugin('api', ['db'], order))
+
+  await app.ready()
+  t.same(order, ['db', 'api'])
+})
+
+test('a dependency can be an ancestor or a sibling of an ancestor', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('db', [], order))
+  app.use(function api (s, opts, done) {
+    order.push('api')
+    s.use(createPlugin('routes', ['api', 'db'], order))
+    done()
+  })
+
+  await app.ready()
+  t.same(order, ['db', 'api', 'routes'])
+})
+
+test('the plugin order is kept when there are no dependencies', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('first', [], order))
+  app.use(createPlugin('second', ['third'], order))
+  app.use(createPlugin('third', [], order))
+  app.use(createPlugin('fourth', [], order))
+
+  await app.ready()
+  t.same(order, ['first', 'third', 'fourth', 'second'])
+})
+
+test('boot fails when a dependency is not registered', (t) => {
+  t.plan(4)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('api', ['db'], order))
+  app.use(createPlugin('cache', [], order))
+
+  app.ready((err) => {
+    t.ok(err)
+    t.equal(err.code, 'AVV_ERR_PLUGIN_DEPENDENCY_MISSING')
+    t.equal(err.message, "The dependency 'db' of plugin 'api' is not registered")
+    t.same(order, [])
+  })
+})
+
+test('boot fails when a dependency is registered by a sibling plugin', (t) => {
+  t.plan(2)
+
+  const app = boot()
+  const order = []
+
+  app.use(function first (s, opts, done) {
+    s.use(createPlugin('db', [], order))
+    done()
+  })
+  app.use(function second (s, opts, done) {
+    s.use(createPlugin('api', ['db'], order))
+    done()
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_DEPENDENCY_MISSING')
+    t.same(order, ['db'])
+  })
+})
+
+test('a plugin does not wait for a sibling registered after an after', (t) => {
+  t.plan(3)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('api', ['db'], order))
+  app.after(function (err, done) {
+    order.push('after')
+    done(err)
+  })
+  app.use(createPlugin('db', [], order))
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_DEPENDENCY_MISSING')
+    t.equal(err.message, "The dependency 'db' of plugin 'api' is not registered")
+    t.same(order, ['after'])
+  })
+})
+
+test('a plugin waits for a sibling registered later before an after', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('api', ['db'], order))
+  app.use(createPlugin('db', [], order))
+  app.after(() => {
+    order.push('after')
+  })
+
+  await app.ready()
+  t.same(order, ['db', 'api', 'after'])
+})
+
+test('boot fails on circular dependencies', (t) => {
+  t.plan(3)
+
+  const app = boot()
+  const order = []
+
+  app.use(createPlugin('a', ['b'], order))
+  app.use(createPlugin('b', ['a'], order))
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_DEPENDENCY_MISSING')
+    t.equal(err.message, "The dependency 'b' of plugin 'a' is not registered")
+    t.same(order, [])
+  })
+})
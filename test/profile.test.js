@@ -0,0 +1,50 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('the resources used by each plugin are recorded with the profile option', (t) => {
+  t.plan(6)
+
+  const app = boot({}, { profile: true })
+  let allocated = null
+
+  app.use(function allocate (s, opts, done) {
+    allocated = new Array(1e6).fill(1)
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    const { resources } = app.toJSON().nodes[0]
+    t.ok(resources.heapUsed > 0)
+    t.type(resources.rss, 'number')
+    t.type(resources.activeHandles, 'number')
+    t.type(resources.eventLoopUtilization, 'number')
+    t.equal(allocated.length, 1e6)
+  })
+})
+
+test('the resources are printed with the profile option', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { profile: true })
+  app.use(function first (s, opts, done) { done() })
+
+  app.ready((err) => {
+    t.error(err)
+    t.match(app.prettyPrint().split('\n')[1], /^└── first \d+ ms \(heap [+-]\d+\.\d MB, rss [+-]\d+\.\d MB, handles [+-]?\d+, elu \d+%\)$/)
+  })
+})
+
+test('the resources are not recorded by default', (t) => {
+  t.plan(2)
+
+  const app = boot()
+  app.use(function first (s, opts, done) { done() })
+
+  app.ready((err) => {
+    t.error(err)
+    t.equal(app.toJSON().nodes[0].resources, null)
+  })
+})
@@ -0,0 +1,266 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+function flaky (failures, onAttempt = () => {}) {
+  let attempt = 0
+  return function flaky (s, opts, done) {
+    attempt++
+    onAttempt(s, attempt)
+    if (attempt <= failures) {
+      const err = new Error(`connect ECONNREFUSED (attempt ${attempt})`)
+      err.code = 'ECONNREFUSED'
+      done(err)
+      return
+    }
+    done()
+  }
+}
+
+test('a failing plugin is retried until it loads', (t) => {
+  t.plan(6)
+
+  const app = boot()
+  const retries = []
+
+  app.on('pluginRetry', ({ name, id, attempt, error, delay }) => {
+    retries.push({ name, id, attempt, code: error.code, delay })
+  })
+
+  app.use(flaky(2), { retry: { attempts: 3 } })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(retries, [
+      { name: 'flaky', id: 'root/flaky/0', attempt: 1, code: 'ECONNREFUSED', delay: 0 },
+      { name: 'flaky', id: 'root/flaky/0', attempt: 2, code: 'ECONNREFUSED', delay: 0 }
+    ])
+    const [node] = app.toJSON().nodes
+    t.equal(node.status, 'loaded')
+    t.same(node.attempts.map(({ error }) => error), [
+      { code: 'ECONNREFUSED', message: 'connect ECONNREFUSED (attempt 1)' },
+      { code: 'ECONNREFUSED', message: 'connect ECONNREFUSED (attempt 2)' },
+      null
+    ])
+    t.ok(node.attempts.every(({ start, stop }) => start >= node.start && stop >= start))
+    t.match(app.prettyPrint(), /flaky \d+ ms \(3 attempts\)/)
+  })
+})
+
+test('the boot fails with the error of the last attempt', (t) => {
+  t.plan(2)
+
+  const app = boot()
+
+  app.use(flaky(5), { retry: { attempts: 2 } })
+
+  app.ready((err) => {
+    t.equal(err.message, 'connect ECONNREFUSED (attempt 2)')
+    t.equal(app.toJSON().nodes[0].attempts.length, 2)
+  })
+})
+
+test('the errors not matching retryOn are not retried', (t) => {
+  t.plan(3)
+
+  const app = boot()
+
+  app.on('pluginRetry', () => t.fail('should not be retried'))
+
+  app.use(flaky(1), {
+    retry: {
+      attempts: 3,
+      retryOn (err) {
+        t.equal(err.code, 'ECONNREFUSED')
+        return false
+      }
+    }
+  })
+
+  app.ready((err) => {
+    t.equal(err.message, 'connect ECONNREFUSED (attempt 1)')
+    t.equal(app.toJSON().nodes[0].attempts.length, 1)
+  })
+})
+
+test('the attempts are delayed by the backoff', (t) => {
+  t.plan(3)
+
+  const app = boot()
+  const delays = []
+
+  app.on('pluginRetry', ({ delay }) => delays.push(delay))
+
+  app.use(flaky(2), {
+    retry: {
+      attempts: 3,
+      backoff: (attempt) => attempt * 10
+    }
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(delays, [10, 20])
+    const [first, , last] = app.toJSON().nodes[0].attempts
+    t.ok(last.start - first.stop >= 25)
+  })
+})
+
+test('every attempt has its own timeout', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { timeout: 20 })
+  let attempt = 0
+
+  app.use(function stuckOnce (s, opts, done) {
+    if (++attempt === 1) {
+      // do not call done on purpose
+      return
+    }
+    setTimeout(done, 10)
+  }, { retry: { attempts: 2 } })
+
+  app.ready((err) => {
+    t.error(err)
+    const { attempts } = app.toJSON().nodes[0]
+    t.equal(attempts[0].error.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.equal(attempts[1].error, null)
+  })
+})
+
+test('the nested plugins and onClose handlers of a failed attempt are discarded', (t) => {
+  t.plan(3)
+
+  const app = boot()
+  let loaded = 0
+  let closed = 0
+
+  app.onClose(function last (instance, done) {
+    t.pass('the handlers registered before are kept')
+    done()
+  })
+
+  app.use(flaky(1, (s) => {
+    s.use(function child (s, opts, done) {
+      loaded++
+      done()
+    })
+    s.onClose(function closePool (instance, done) {
+      closed++
+      done()
+    })
+  }), { retry: { attempts: 2 } })
+
+  app.ready((err) => {
+    t.error(err)
+    app.close(() => {
+      t.same([loaded, closed], [1, 1])
+    })
+  })
+})
+
+test('a late done of a failed attempt is ignored', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { timeout: 10 })
+  let attempt = 0
+
+  app.use(function late (s, opts, done) {
+    if (++attempt === 1) {
+      // called while the second attempt is running
+      setTimeout(done, 12, new Error('too late'))
+      return
+    }
+    setTimeout(done, 6)
+  }, { retry: { attempts: 2 } })
+
+  app.ready((err) => {
+    t.error(err)
+    t.equal(attempt, 2)
+  })
+})
+
+test('an async plugin rejecting is retried', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  let attempt = 0
+
+  app.use(async function flakyAsync () {
+    if (++attempt < 3) {
+      throw new Error('not yet')
+    }
+  }, { retry: { attempts: 3 } })
+
+  await app.ready()
+  t.equal(attempt, 3)
+})
+
+test('the nested plugins loaded by a failed attempt are marked as discarded', (t) => {
+  t.plan(2)
+
+  const app = boot()
+  let attempt = 0
+
+  app.use(async function awaiting (s) {
+    s.use(function child (s, opts, done) {
+      done()
+    })
+    await s.after()
+    if (++attempt === 1) {
+      throw new Error('not yet')
+    }
+  }, { retry: { attempts: 2 } })
+
+  app.ready((err) => {
+    t.error(err)
+    const statuses = app.toJSON().nodes[0].nodes.map(({ id, status }) => `${id}:${status}`)
+    t.same(statuses, [
+      'root/awaiting/0/child/0:discarded',
+      'root/awaiting/0/bound _after/0:discarded',
+      'root/awaiting/0/child/1:loaded',
+      'root/awaiting/0/bound _after/1:loaded'
+    ])
+  })
+})
+
+test('a retryOn throwing fails the plugin with its error', (t) => {
+  t.plan(2)
+
+  const app = boot()
+  const policyErr = new Error('retryOn failed')
+
+  app.use(function later (s, opts, done) {
+    setTimeout(done, 1, new Error('kaboom'))
+  }, {
+    retry: {
+      retryOn () {
+        throw policyErr
+      }
+    }
+  })
+
+  app.ready((err) => {
+    t.equal(err, policyErr)
+    t.equal(app.toJSON().nodes[0].status, 'failed')
+  })
+})
+
+test('a backoff throwing fails the plugin with its error', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(flaky(1), {
+    retry: {
+      backoff () {
+        throw new Error('backoff failed')
+      }
+    }
+  })
+
+  app.ready((err) => {
+    t.equal(err.message, 'backoff failed')
+  })
+})
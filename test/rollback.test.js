@@ -0,0 +1,175 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('the onClose handlers of the loaded plugins run when the boot fails', (t) => {
+  t.plan(4)
+
+  const app = boot({}, { rollbackOnError: true })
+  const order = []
+  const bootErr = new Error('kaboom')
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      order.push('closePool')
+      done()
+    })
+    done()
+  })
+  app.use(function cache (s, opts, done) {
+    s.onClose(async function flush () {
+      order.push('flush')
+    })
+    done()
+  })
+  app.use(function broken (s, opts, done) {
+    done(bootErr)
+  })
+  app.use(function never (s, opts, done) {
+    t.fail('should not be loaded')
+    done()
+  })
+
+  app.on('close', () => order.push('close'))
+
+  app.ready((err) => {
+    t.equal(err, bootErr)
+    t.same(err.rollbackErrors, [])
+    t.same(order, ['flush', 'closePool', 'close'])
+    t.equal(app.closeToJSON().label, 'rollback')
+  })
+})
+
+test('the errors of the rollback are attached to the error of the boot', (t) => {
+  t.plan(4)
+
+  const app = boot({}, { rollbackOnError: true, closeTimeout: 10 })
+  const closeErr = new Error('cannot close')
+
+  app.use(function failing (s, opts, done) {
+    s.onClose(function failing (instance, done) {
+      done(closeErr)
+    })
+    done()
+  })
+  app.use(function stuck (s, opts, done) {
+    s.onClose(function stuck (instance, done) {
+      // do not call done on purpose
+    })
+    done()
+  })
+  app.use(function broken (s, opts, done) {
+    done(new Error('kaboom'))
+  })
+
+  app.ready().catch((err) => {
+    t.equal(err.message, 'kaboom')
+    t.equal(err.rollbackErrors.length, 2)
+    t.equal(err.rollbackErrors[0].code, 'AVV_ERR_CLOSE_TIMEOUT')
+    t.equal(err.rollbackErrors[1], closeErr)
+  })
+})
+
+test('the onClose handlers are not run twice by close', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { rollbackOnError: true })
+  let closed = 0
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      closed++
+      done()
+    })
+    done()
+  })
+  app.use(function broken (s, opts, done) {
+    done(new Error('kaboom'))
+  })
+
+  app.ready((err) => {
+    t.equal(err.message, 'kaboom')
+    app.close((err) => {
+      t.error(err)
+      t.equal(closed, 1)
+    })
+  })
+})
+
+test('the onClose handlers do not run when the boot fails without rollbackOnError', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      t.fail('should not be called')
+      done()
+    })
+    done()
+  })
+  app.use(function broken (s, opts, done) {
+    done(new Error('kaboom'))
+  })
+
+  app.ready((err) => {
+    t.equal(err.rollbackErrors, undefined)
+  })
+})
+
+test('the onClose handlers do not run when the boot succeeds', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { rollbackOnError: true })
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      t.pass('called on close')
+      done()
+    })
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    app.close()
+  })
+})
+
+test('the onClose handlers registered after the rollback wait for close', (t) => {
+  t.plan(6)
+
+  const app = boot({}, { rollbackOnError: true, bootDeadline: 20 })
+  const order = []
+
+  app.use(function db (s, opts, done) {
+    s.onClose(function closePool (instance, done) {
+      order.push('closePool')
+      done()
+    })
+    done()
+  })
+  app.use(function slow (s, opts, done) {
+    setTimeout(() => {
+      s.onClose(function lateClose (instance, done) {
+        order.push('lateClose')
+        done()
+      })
+      done()
+    }, 50)
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_BOOT_DEADLINE')
+    setTimeout(() => {
+      t.same(order, ['closePool'])
+      t.equal(app.closeToJSON().label, 'rollback')
+      app.close((err) => {
+        t.error(err)
+        t.same(order, ['closePool', 'lateClose'])
+        t.same(app.closeToJSON().nodes.map(({ label }) => label), ['closePool (db)'])
+      })
+    }, 80)
+  })
+})
@@ -0,0 +1,86 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('a slow plugin emits slowPlugin events until it is loaded', (t) => {
+  t.plan(6)
+
+  const app = boot({}, { slowThreshold: 20 })
+  const events = []
+
+  app.on('slowPlugin', (event) => events.push(event))
+
+  app.use(function first (s, opts, done) {
+    s.use(function slow (s, opts, done) {
+      setTimeout(done, 70)
+    })
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.ok(events.length >= 2)
+    t.equal(events[0].name, 'slow')
+    t.same(events[0].path, ['root', 'first', 'slow'])
+    t.ok(events[0].elapsed >= 20)
+    t.ok(events[1].elapsed > events[0].elapsed)
+  })
+})
+
+test('a slow plugin does not fail boot', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { slowThreshold: 10 })
+  let slowEvents = 0
+
+  app.on('slowPlugin', () => slowEvents++)
+
+  app.use(async function slow () {
+    await new Promise((resolve) => setTimeout(resolve, 30))
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.ok(slowEvents > 0)
+  })
+})
+
+test('plugins loading in time do not emit slowPlugin events', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { slowThreshold: 50 })
+
+  app.on('slowPlugin', () => {
+    t.fail('no slowPlugin event is emitted')
+  })
+
+  app.use(function fast (s, opts, done) {
+    setTimeout(done, 5)
+  })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('the slow plugins are reported as process warnings with the slowWarning option', (t) => {
+  t.plan(4)
+
+  const app = boot({}, { slowThreshold: 20, slowWarning: true })
+
+  const onWarning = (warning) => {
+    t.equal(warning.name, 'AvvioWarning')
+    t.equal(warning.code, 'AVV_WARN_SLOW_PLUGIN')
+    t.match(warning.message, /^Plugin 'slow' is loading since \d+ ms: root > slow$/)
+  }
+  process.once('warning', onWarning)
+
+  app.use(function slow (s, opts, done) {
+    setTimeout(done, 30)
+  })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
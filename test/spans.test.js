@@ -0,0 +1,156 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('the boot spans are handed to the spanExporter', (t) => {
+  t.plan(5)
+
+  let exported = null
+  const app = boot({}, {
+    spanExporter (spans) {
+      exported = spans
+    }
+  })
+
+  app.use(function first (s, opts, done) {
+    s.use(function second (s, opts, done) {
+      done()
+    })
+    done()
+  })
+
+  app.ready((err) => {
+    t.error(err)
+    t.same(exported.map(({ name }) => name), ['root', 'first', 'second'])
+    t.equal(exported[1].parentSpanId, exported[0].spanId)
+    t.equal(exported[2].parentSpanId, exported[1].spanId)
+    t.ok(exported.every(({ traceId }) => traceId === exported[0].traceId))
+  })
+})
+
+test('the spans of a failed boot record the error', (t) => {
+  t.plan(3)
+
+  const spans = []
+  const app = boot({}, {
+    spanExporter: (exported) => spans.push(...exported)
+  })
+
+  app.use(function broken (s, opts, done) {
+    done(new Error('kaboom'))
+  })
+
+  app.ready((err) => {
+    t.equal(err.message, 'kaboom')
+    const [, broken] = spans
+    t.same(broken.status, { code: 2, message: 'kaboom' })
+    t.same(broken.attributes[2], { key: 'avvio.status', value: { stringValue: 'failed' } })
+  })
+})
+
+test('the shutdown spans are handed to the spanExporter', (t) => {
+  t.plan(3)
+
+  const exports = []
+  const app = boot({}, {
+    spanExporter: (spans) => exports.push(spans)
+  })
+
+  app.onClose(function closeDatabase (instance, done) {
+    done()
+  })
+
+  app.close((err) => {
+    t.error(err)
+    t.equal(exports.length, 2)
+    t.same(exports[1].map(({ name }) => name), ['close', 'closeDatabase (root)'])
+  })
+})
+
+test('an exporter throwing while booting emits a warning without failing the boot', (t) => {
+  t.plan(3)
+
+  const app = boot({}, {
+    spanExporter () {
+      throw new Error('exporter down')
+    }
+  })
+
+  let preReady = false
+  app.on('preReady', () => { preReady = true })
+  app.on('warning', (err) => {
+    t.equal(err.message, 'exporter down')
+  })
+
+  app.use(function first (s, opts, done) { done() })
+
+  app.ready((err) => {
+    t.error(err)
+    t.ok(preReady)
+  })
+})
+
+test('an exporter throwing while closing emits a warning without failing the close', (t) => {
+  t.plan(3)
+
+  const app = boot({}, {
+    spanExporter (spans) {
+      if (spans[0].name === 'close') {
+        throw new Error('exporter down')
+      }
+    }
+  })
+
+  const handlers = []
+  app.on('warning', (err) => {
+    t.equal(err.message, 'exporter down')
+  })
+  app.onClose(function closeDatabase () {
+    handlers.push('closeDatabase')
+  })
+
+  app.close((err) => {
+    t.error(err)
+    t.same(handlers, ['closeDatabase'])
+  })
+})
+
+test('an async exporter rejecting emits a warning without failing the boot', (t) => {
+  t.plan(2)
+
+  const app = boot({}, {
+    async spanExporter () {
+      throw new Error('export failed')
+    }
+  })
+
+  app.on('warning', (err) => {
+    t.equal(err.message, 'export failed')
+  })
+
+  app.use(function first (s, opts, done) { done() })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('toSpans and closeToSpans return the spans of the trees', (t) => {
+  t.plan(3)
+
+  const app = boot()
+  app.use(function first (s, opts, done) { done() })
+  app.onClose(function last () {})
+
+  app.ready(() => {
+    t.same(app.toSpans({ traceId: '0af7651916cd43dd8448eb211c80319c' }).map(({ name, traceId }) => [name, traceId]), [
+      ['root', '0af7651916cd43dd8448eb211c80319c'],
+      ['first', '0af7651916cd43dd8448eb211c80319c']
+    ])
+    t.same(app.closeToSpans(), [])
+    app.close(() => {
+      t.same(app.closeToSpans().map(({ name }) => name), ['close', 'last (root)'])
+    })
+  })
+})
@@ -0,0 +1,131 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+const { kPluginMeta } = require('../lib/symbols')
+
+function slow (delay) {
+  return function slow (s, opts, done) {
+    setTimeout(done, delay)
+  }
+}
+
+test('the timeout of a plugin can be set in its options', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { timeout: 10 })
+
+  app.use(slow(30), { timeout: 100 })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('the timeout of a plugin can be set in options returned by a function', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { timeout: 10 })
+
+  app.use(slow(30), () => ({ timeout: 100 }))
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('the timeout of a plugin can be set in its metadata', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { timeout: 100 })
+
+  const migrations = slow(30)
+  migrations[kPluginMeta] = { name: 'migrations', timeout: 10 }
+  app.use(migrations)
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.equal(err.message, "Plugin did not start in time: 'migrations'. You may have forgotten to call 'done' function or to resolve a Promise")
+  })
+})
+
+test('the timeout can be disabled for a single plugin', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { timeout: 10 })
+
+  app.use(slow(30), { timeout: 0 })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('the timeout of a plugin is not inherited by default', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { timeout: 10 })
+
+  app.use(function migrations (s, opts, done) {
+    s.use(slow(30))
+    done()
+  }, { timeout: 100 })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.match(err.message, /'slow'/)
+  })
+})
+
+test('the timeout of a plugin is inherited with the inheritTimeout option', (t) => {
+  t.plan(1)
+
+  const app = boot({}, { timeout: 10 })
+
+  app.use(function migrations (s, opts, done) {
+    s.use(function nested (s, opts, done) {
+      s.use(slow(30))
+      done()
+    })
+    s.after(function (err, done) {
+      setTimeout(done, 30, err)
+    })
+    done()
+  }, { timeout: 100, inheritTimeout: true })
+
+  app.ready((err) => {
+    t.error(err)
+  })
+})
+
+test('a nested plugin can override an inherited timeout', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { timeout: 100 })
+
+  app.use(function migrations (s, opts, done) {
+    s.use(slow(30), { timeout: 10 })
+    done()
+  }, { timeout: 200, inheritTimeout: true })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.match(err.message, /'slow'/)
+  })
+})
+
+test('the siblings of a plugin keep the global timeout', (t) => {
+  t.plan(2)
+
+  const app = boot({}, { timeout: 10 })
+
+  app.use(slow(5), { timeout: 100, inheritTimeout: true })
+  app.use(function next (s, opts, done) {
+    setTimeout(done, 30)
+  })
+
+  app.ready((err) => {
+    t.equal(err.code, 'AVV_ERR_PLUGIN_EXEC_TIMEOUT')
+    t.match(err.message, /'next'/)
+  })
+})
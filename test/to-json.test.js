@@ -73,14 +73,14 @@ test('to json multi-level hierarchy', (t) => {
     start: /\d+/,
     nodes: [
       {
-        id: /.+/,
+        id: 'root/first/0',
         parent: 'root',
         start: /\d+/,
         label: 'first',
         nodes: [
           {
-            id: /.+/,
-            parent: 'first',
+            id: 'root/first/0/second/0',
+            parent: 'root/first/0',
             start: /\d+/,
             label: 'second',
             nodes: [],
@@ -88,14 +88,14 @@ test('to json multi-level hierarchy', (t) => {
             diff: /\d+/
           },
           {
-            id: /.+/,
-            parent: 'first',
+            id: 'root/first/0/third/0',
+            parent: 'root/first/0',
             start: /\d+/,
             label: 'third',
             nodes: [
               {
-                id: /.+/,
-                parent: 'third',
+                id: 'root/first/0/third/0/fourth/0',
+                parent: 'root/first/0/third/0',
                 start: /\d+/,
                 label: 'fourth',
                 nodes: [],
@@ -149,3 +149,64 @@ test('to json multi-level hierarchy', (t) => {
     }
   })
 })
+
+test('to json links plugins with the same name to the right parent', (t) => {
+  t.plan(1)
+
+  const app = boot()
+
+  app.use(function db (s, opts, done) {
+    s.use(function pool (s, opts, done) { done() })
+    done()
+  })
+  app.use(function api (s, opts, done) {
+    s.use(function db (s, opts, done) {
+      s.use(function client (s, opts, done) { done() })
+      done()
+    })
+    done()
+  })
+
+  app.ready(() => {
+    t.match(app.toJSON(), {
+      id: 'root',
+      nodes: [
+        {
+          id: 'root/db/0',
+          nodes: [{ id: 'root/db/0/pool/0', parent: 'root/db/0', nodes: [] }]
+        },
+        {
+          id: 'root/api/0',
+          nodes: [
+            {
+              id: 'root/api/0/db/0',
+              parent: 'root/api/0',
+              nodes: [{ id: 'root/api/0/db/0/client/0', parent: 'root/api/0/db/0', nodes: [] }]
+            }
+          ]
+        }
+      ]
+    })
+  })
+})
+
+test('to json returns the same ids on every boot', async (t) => {
+  t.plan(1)
+
+  function getIds (node) {
+    return [node.id, ...node.nodes.flatMap(getIds)]
+  }
+
+  async function start () {
+    const app = boot()
+    app.use(function db (s, opts, done) { done() })
+    app.use(function db (s, opts, done) {
+      s.use(function pool (s, opts, done) { done() })
+      done()
+    })
+    await app.ready()
+    return getIds(app.toJSON())
+  }
+
+  t.same(await start(), await start())
+})
@@ -0,0 +1,83 @@
+'use strict'
+
+const { test } = require('tap')
+const boot = require('..')
+
+test('boot and close as trace events', (t) => {
+  t.plan(6)
+
+  const app = boot()
+
+  app.use(function first (s, opts, done) {
+    s.use(function second (s, opts, done) {
+      setTimeout(done, 5)
+    })
+    s.onClose(function closeFirst (instance, done) {
+      done()
+    })
+    done()
+  })
+
+  app.close(() => {
+    const { traceEvents, displayTimeUnit } = app.toTraceEvents()
+
+    t.equal(displayTimeUnit, 'ms')
+    t.same(traceEvents.map(({ name, cat, ph, tid }) => ({ name, cat, ph, tid })), [
+      { name: 'thread_name', cat: undefined, ph: 'M', tid: 0 },
+      { name: 'thread_name', cat: undefined, ph: 'M', tid: 1 },
+      { name: 'root', cat: 'boot', ph: 'X', tid: 0 },
+      { name: 'first', cat: 'boot', ph: 'X', tid: 0 },
+      { name: 'second', cat: 'boot', ph: 'X', tid: 0 },
+      { name: 'close', cat: 'close', ph: 'X', tid: 1 },
+      { name: 'closeFirst (first)', cat: 'close', ph: 'X', tid: 1 }
+    ])
+
+    const [, , root, first, second] = traceEvents
+    t.equal(root.pid, process.pid)
+    t.ok(first.ts >= root.ts && first.ts + first.dur <= root.ts + root.dur, 'first is nested in root')
+    t.ok(second.ts >= first.ts && second.ts + second.dur <= first.ts + first.dur, 'second is nested in first')
+    t.ok(second.dur >= 4000, 'durations are in microseconds')
+  })
+})
+
+test('concurrently loading plugins are placed on threads of their own', (t) => {
+  t.plan(3)
+
+  const app = boot({}, { concurrency: 2 })
+
+  app.use(function first (s, opts, done) {
+    setTimeout(done, 10)
+  })
+  app.use(function second (s, opts, done) {
+    setTimeout(done, 5)
+  })
+
+  app.close(() => {
+    const { traceEvents } = app.toTraceEvents()
+
+    t.same(traceEvents.filter(({ ph }) => ph === 'M').map(({ tid, args }) => ({ tid, name: args.name })), [
+      { tid: 0, name: 'boot' },
+      { tid: 1, name: 'boot 1' },
+      { tid: 2, name: 'close' }
+    ])
+    t.same(traceEvents.filter(({ cat }) => cat === 'boot').map(({ name, tid }) => ({ name, tid })), [
+      { name: 'root', tid: 0 },
+      { name: 'first', tid: 0 },
+      { name: 'second', tid: 1 }
+    ])
+    t.equal(traceEvents.find(({ cat }) => cat === 'close').tid, 2)
+  })
+})
+
+test('trace events can be serialized to JSON', async (t) => {
+  t.plan(1)
+
+  const app = boot()
+  app.use(function first (s, opts, done) {
+    done()
+  })
+
+  await app.ready()
+  const parsed = JSON.parse(JSON.stringify(app.toTraceEvents()))
+  t.equal(parsed.traceEvents.length, 4)
+})
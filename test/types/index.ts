@@ -408,3 +408,61 @@ import * as avvio from "../../";
   const promise = plugin(app, {}, undefined as any);
   (promise instanceof Promise);
 }
+
+{
+  const server = { hello: "world" };
+  const options: avvio.Options = {
+    timeout: 1000,
+    concurrency: 4,
+    closeTimeout: 1000,
+    highResolutionTime: true,
+    budget: { total: 2000, perPlugin: { ms: 200, hard: true }, hard: false },
+    profile: true,
+    blockingThreshold: 50,
+    slowThreshold: 1000,
+    bootDeadline: 30000,
+    slowWarning: true,
+    signal: new AbortController().signal,
+    rollbackOnError: true,
+    aggregateErrors: true,
+    wrapErrors: true,
+    ignoreFrames: [/node_modules/],
+    spanExporter: (spans: avvio.Span[]) => {}
+  };
+  // avvio with server and concurrency option
+  const app = avvio(server, options);
+}
+
+{
+  const options: avvio.Options = {
+    spanExporter: async (spans: avvio.Span[]) => {}
+  };
+  avvio(null, options);
+}
+
+{
+  const app = avvio();
+  const tree: Object = app.toJSON();
+  const print: string = app.prettyPrint();
+  const closeTree: Object = app.closeToJSON();
+  const closePrint: string = app.closePrettyPrint();
+  const precisePrint: string = app.prettyPrint({ precision: 3 });
+  const preciseClosePrint: string = app.closePrettyPrint({ precision: 3 });
+  const traceEvents: avvio.TraceEvent[] = app.toTraceEvents().traceEvents;
+  const selfPrint: string = app.prettyPrint({ self: true });
+  const criticalPath: avvio.CriticalPathNode[] = app.criticalPath();
+  app.on("warning", (warning: Error) => {});
+  app.on("blocking", ({ name, id, duration }: avvio.Blocking) => {});
+  app.on("slowPlugin", ({ name, path, elapsed }: avvio.SlowPlugin) => {});
+  app.on("pluginFailed", ({ name, id, error }: avvio.FailedPlugin) => {});
+  app.on("pluginRetry", ({ name, id, attempt, error, delay }: avvio.PluginRetry) => {});
+  const failedPlugins: avvio.FailedPlugin[] = app.failedPlugins;
+  const spans: avvio.Span[] = app.toSpans();
+  const diagnostics: avvio.Diagnostics = app.diagnose();
+  const waitingFor: string | null = diagnostics.stack[0].loading[0].waitingFor;
+  const closeSpans: avvio.Span[] = app.closeToSpans({ traceId: "0af7651916cd43dd8448eb211c80319c", parentSpanId: "00f067aa0ba902b7" });
+  const readyPromise: Promise<avvio.context<null>> = app.ready(AbortSignal.timeout(1000));
+  app.ready((err) => {}, AbortSignal.timeout(1000));
+  const closePromise: Promise<void> = app.close(AbortSignal.timeout(1000));
+  app.close((err) => {}, AbortSignal.timeout(1000));
+}